@@ -0,0 +1,125 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import crypto from 'node:crypto';
+
+const {util: {BedrockError}} = bedrock;
+
+const SUPPORTED_KEY_TYPES = new Set(['Aes256GcmKey2026']);
+
+// 96-bit IVs and 128-bit authentication tags
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+
+/**
+ * Generates a new AES-256-GCM key.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.type - The key type.
+ *
+ * @returns {Promise<object>} An object containing `{key}`.
+ */
+export async function generateKey({keyId, type} = {}) {
+  if(!SUPPORTED_KEY_TYPES.has(type)) {
+    throw new Error(`Unknown key type "${type}".`);
+  }
+  const key = {
+    id: keyId,
+    type,
+    secret: crypto.randomBytes(32).toString('base64url')
+  };
+  return {key};
+}
+
+/**
+ * Encrypts some data under a random IV.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} An object containing `{iv, ciphertext, tag}`.
+ */
+export async function encrypt({key, operation}) {
+  const plaintext = _decode({operation, name: 'plaintext'});
+  const additionalData = _decode(
+    {operation, name: 'additionalData', optional: true});
+
+  const iv = crypto.randomBytes(IV_SIZE);
+  const cipher = crypto.createCipheriv(
+    'aes-256-gcm', Buffer.from(key.secret, 'base64url'), iv,
+    {authTagLength: TAG_SIZE});
+  if(additionalData) {
+    cipher.setAAD(additionalData);
+  }
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('base64url'),
+    ciphertext: ciphertext.toString('base64url'),
+    tag: cipher.getAuthTag().toString('base64url')
+  };
+}
+
+/**
+ * Decrypts some data, verifying its authentication tag.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} An object containing `{plaintext}`.
+ */
+export async function decrypt({key, operation}) {
+  const iv = _decode({operation, name: 'iv', size: IV_SIZE});
+  const ciphertext = _decode({operation, name: 'ciphertext'});
+  const tag = _decode({operation, name: 'tag', size: TAG_SIZE});
+  const additionalData = _decode(
+    {operation, name: 'additionalData', optional: true});
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm', Buffer.from(key.secret, 'base64url'), iv,
+    {authTagLength: TAG_SIZE});
+  decipher.setAuthTag(tag);
+  if(additionalData) {
+    decipher.setAAD(additionalData);
+  }
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch(cause) {
+    // do not distinguish between causes, e.g., wrong key, IV, tag, or AAD
+    throw new BedrockError('Decryption failed.', {
+      name: 'OperationError',
+      details: {public: true, httpStatusCode: 400},
+      cause
+    });
+  }
+  return {plaintext: plaintext.toString('base64url')};
+}
+
+function _decode({operation, name, size, optional = false}) {
+  const value = operation[name];
+  if(value === undefined && optional) {
+    return;
+  }
+  if(typeof value !== 'string') {
+    throw new BedrockError(
+      `"${name}" must be a base64url-encoded string.`, {
+        name: 'DataError',
+        details: {public: true, httpStatusCode: 400}
+      });
+  }
+  const decoded = Buffer.from(value, 'base64url');
+  if(size !== undefined && decoded.length !== size) {
+    throw new BedrockError(`"${name}" must be ${size} bytes.`, {
+      name: 'DataError',
+      details: {public: true, httpStatusCode: 400}
+    });
+  }
+  return decoded;
+}
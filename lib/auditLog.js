@@ -0,0 +1,191 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+export class AuditLog {
+  constructor({collectionName} = {}) {
+    this.collectionName = collectionName;
+
+    this.collection = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Inserts an audit log entry for a KMS operation.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key used.
+   * @param {string} options.operation - The name of the KMS operation.
+   * @param {Error} [options.error] - The error thrown by the KMS operation,
+   *   if it failed.
+   * @param {object} [options.zcapInvocation] - The zcap invocation used to
+   *   run the KMS operation; if the KMS operation was invoked via zcap.
+   * @param {number} [options.retentionMs] - How long to keep the entry in
+   *   milliseconds; `null` to keep it forever.
+   *
+   * @returns {Promise<object>} The audit log entry.
+   */
+  async insert({keyId, operation, error, zcapInvocation, retentionMs} = {}) {
+    const date = new Date();
+    const entry = {
+      keyId,
+      keystoreId: keyId.substring(0, keyId.lastIndexOf('/')),
+      operation,
+      date,
+      status: error ? 'failure' : 'success'
+    };
+    if(retentionMs !== undefined && retentionMs !== null) {
+      entry.expires = new Date(date.getTime() + retentionMs);
+    }
+    if(error) {
+      entry.error = {name: error.name, message: error.message};
+    }
+    if(zcapInvocation) {
+      const {capability, capabilityAction, invoker} = zcapInvocation;
+      entry.zcapInvocation = {
+        capability: typeof capability === 'string' ?
+          capability : capability?.id,
+        capabilityAction,
+        invoker
+      };
+    }
+    await this.collection.insertOne({...entry});
+    return entry;
+  }
+
+  /**
+   * Finds audit log entries for a key or a keystore, ordered by date.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} [options.keyId] - The ID of the key.
+   * @param {string} [options.keystoreId] - The ID of the keystore.
+   * @param {Date|number} [options.start] - The earliest date (inclusive).
+   * @param {Date|number} [options.end] - The latest date (exclusive).
+   * @param {number} [options.limit=100] - The maximum number of entries to
+   *   return, up to 1000.
+   *
+   * @returns {Promise<object>} An object with `{entries}`.
+   */
+  async find({
+    keyId, keystoreId, start, end, limit = DEFAULT_QUERY_LIMIT
+  } = {}) {
+    if(!!keyId === !!keystoreId) {
+      throw _dataError('Exactly one of "keyId" or "keystoreId" must be given.');
+    }
+    if(!(Number.isInteger(limit) && limit > 0 && limit <= MAX_QUERY_LIMIT)) {
+      throw _dataError(
+        `"limit" must be an integer from 1 to ${MAX_QUERY_LIMIT}.`);
+    }
+
+    const query = keyId ? {keyId} : {keystoreId};
+    if(start !== undefined || end !== undefined) {
+      query.date = {};
+      if(start !== undefined) {
+        query.date.$gte = _toDate({date: start, name: 'start'});
+      }
+      if(end !== undefined) {
+        query.date.$lt = _toDate({date: end, name: 'end'});
+      }
+    }
+
+    const entries = await this.collection.find(query, {
+      projection: {_id: 0}
+    }).sort({date: 1}).limit(limit).toArray();
+    return {entries};
+  }
+
+  /**
+   * Runs the given KMS operation function and inserts an audit log entry
+   * with its result status. No operation is reported to the caller without
+   * an audit log entry: if the entry cannot be inserted, the call rejects
+   * with the insertion error whether the operation succeeded or failed (the
+   * operation's own error, if any, is logged).
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key used.
+   * @param {string} options.operation - The name of the KMS operation.
+   * @param {object} [options.zcapInvocation] - The zcap invocation used to
+   *   run the KMS operation; if the KMS operation was invoked via zcap.
+   * @param {number} [options.retentionMs] - How long to keep the entry in
+   *   milliseconds; `null` to keep it forever.
+   * @param {Function} options.fn - The function that runs the operation.
+   *
+   * @returns {Promise<*>} The result of `fn`.
+   */
+  async audit({keyId, operation, zcapInvocation, retentionMs, fn} = {}) {
+    let result;
+    let error;
+    try {
+      result = await fn();
+    } catch(e) {
+      error = e;
+    }
+    try {
+      await this.insert(
+        {keyId, operation, error, zcapInvocation, retentionMs});
+    } catch(e) {
+      if(error) {
+        logger.error('Could not audit failed KMS operation.', {error});
+      }
+      throw e;
+    }
+    if(error) {
+      throw error;
+    }
+    return result;
+  }
+
+  static async create({collectionName} = {}) {
+    const auditLog = new AuditLog({collectionName});
+
+    bedrock.events.on('bedrock-mongodb.ready', async () => {
+      await database.openCollections([auditLog.collectionName]);
+
+      await database.createIndexes([{
+        // cover queries by key ID and date range
+        collection: auditLog.collectionName,
+        fields: {keyId: 1, date: 1},
+        options: {unique: false}
+      }, {
+        // cover queries by keystore ID and date range
+        collection: auditLog.collectionName,
+        fields: {keystoreId: 1, date: 1},
+        options: {unique: false}
+      }, {
+        // expire entries once their retention period has ended
+        collection: auditLog.collectionName,
+        fields: {expires: 1},
+        options: {unique: false, expireAfterSeconds: 0}
+      }]);
+
+      auditLog.collection = database.collections[collectionName];
+      auditLog.initialized = true;
+    });
+
+    return auditLog;
+  }
+}
+
+function _dataError(message) {
+  return new BedrockError(message, {
+    name: 'DataError',
+    details: {httpStatusCode: 400, public: true}
+  });
+}
+
+function _toDate({date, name}) {
+  const result = new Date(date);
+  if(!(date instanceof Date || typeof date === 'number') ||
+    isNaN(result.getTime())) {
+    throw _dataError(`"${name}" must be a Date or a number.`);
+  }
+  return result;
+}
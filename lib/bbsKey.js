@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
+
+const {util: {BedrockError}} = bedrock;
+
+const SUPPORTED_KEY_TYPES = new Set([
+  'urn:webkms:multikey:BBS-BLS12-381-SHA-256',
+  'urn:webkms:multikey:BBS-BLS12-381-SHAKE-256',
+  'urn:webkms:multikey:Bls12381G2'
+]);
+
+/**
+ * Checks whether a KMS `sign` operation with the given key is a BBS
+ * multi-message signing operation, i.e., it gives `messages` instead of a
+ * CBOR-encoded `verifyData`.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {boolean} `true` if the operation is a multi-message operation.
+ */
+export function isMultiMessageOperation({key, operation}) {
+  return SUPPORTED_KEY_TYPES.has(key?.type) &&
+    operation?.messages !== undefined;
+}
+
+/**
+ * Signs a BBS header and an array of messages, producing a standard BBS
+ * signature over all of the messages from which proofs that disclose any
+ * subset of them can be derived.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ * @param {object} options.operation - The KMS operation with an optional
+ *   `header` and a non-empty array of `messages` (all base64url-encoded).
+ *
+ * @returns {Promise<object>} An object containing `{signatureValue}`.
+ */
+export async function sign({key, operation}) {
+  const {header = '', messages, verifyData} = operation;
+  if(verifyData !== undefined) {
+    throw _dataError('Only one of "verifyData" or "messages" may be given.');
+  }
+  if(typeof header !== 'string') {
+    throw _dataError('"header" must be a base64url-encoded string.');
+  }
+  if(!(Array.isArray(messages) && messages.length > 0 &&
+    messages.every(m => typeof m === 'string'))) {
+    throw _dataError(
+      '"messages" must be a non-empty array of base64url-encoded strings.');
+  }
+
+  // import key as a `Multikey`
+  const keyPair = await Bls12381Multikey.from({...key, type: 'Multikey'});
+  const signature = await keyPair.signer().multisign({
+    header: _decode(header),
+    messages: messages.map(_decode)
+  });
+  return {signatureValue: Buffer.from(signature).toString('base64url')};
+}
+
+function _dataError(message) {
+  return new BedrockError(message, {
+    name: 'DataError',
+    details: {public: true, httpStatusCode: 400}
+  });
+}
+
+function _decode(value) {
+  return new Uint8Array(Buffer.from(value, 'base64url'));
+}
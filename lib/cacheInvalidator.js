@@ -0,0 +1,132 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {clearCache} from './storage.js';
+import {logger} from './logger.js';
+import {setTimeout} from 'node:timers/promises';
+
+const {util: {BedrockError}} = bedrock;
+
+// key record changes that invalidate cached key records; only the key ID is
+// needed so project away everything else (including any key secrets); the
+// key ID of a deleted key record is only available from its pre-image
+const PIPELINE = [
+  {$match: {operationType: {$in: ['update', 'replace', 'delete']}}},
+  {
+    $project: {
+      operationType: 1,
+      'fullDocument.key.id': 1,
+      'fullDocumentBeforeChange.key.id': 1
+    }
+  }
+];
+
+export class CacheInvalidator {
+  constructor({keyStorage, retryInterval} = {}) {
+    this.keyStorage = keyStorage;
+    this.retryInterval = retryInterval;
+
+    this.changeStream = null;
+    this.resumeToken = undefined;
+    this.stopped = false;
+    this.watching = null;
+  }
+
+  /**
+   * Starts watching the key record collection for changes made by any node
+   * in the cluster and evicts changed key records from the key record cache.
+   * This requires MongoDB change streams, i.e., a replica set or a sharded
+   * cluster. Change stream pre-images (MongoDB 6.0+) are enabled for the
+   * collection so that deleted key records can be evicted individually.
+   *
+   * @returns {Promise<undefined>} Resolves once watching has started.
+   */
+  async start() {
+    // `setName` is only present for replica set members and `msg` is only
+    // `isdbgrid` for `mongos`
+    const {setName, msg} = await database.db.admin().command({hello: 1});
+    if(!(setName || msg === 'isdbgrid')) {
+      throw new BedrockError(
+        'Key record cache invalidation requires a MongoDB replica set or ' +
+        'sharded cluster.', {
+          name: 'NotSupportedError',
+          details: {collection: this.keyStorage.collectionName}
+        });
+    }
+    try {
+      await database.db.command({
+        collMod: this.keyStorage.collectionName,
+        changeStreamPreAndPostImages: {enabled: true}
+      });
+    } catch(error) {
+      logger.warning(
+        'Could not enable change stream pre-images; every cached key record ' +
+        'will be evicted whenever a key record is deleted.', {error});
+    }
+    this.stopped = false;
+    this.watching = this._watch();
+  }
+
+  /**
+   * Stops watching the key record collection.
+   *
+   * @returns {Promise<undefined>} Resolves once watching has stopped.
+   */
+  async stop() {
+    this.stopped = true;
+    await this.changeStream?.close();
+    await this.watching;
+  }
+
+  async _watch() {
+    const collection = database.collections[this.keyStorage.collectionName];
+    while(!this.stopped) {
+      try {
+        this.changeStream = collection.watch(PIPELINE, {
+          fullDocument: 'updateLookup',
+          fullDocumentBeforeChange: 'whenAvailable',
+          resumeAfter: this.resumeToken
+        });
+        for await (const change of this.changeStream) {
+          this.resumeToken = change._id;
+          this._invalidate({change});
+        }
+        // change stream was closed or invalidated (e.g., collection dropped)
+        // and cannot be resumed
+        this.resumeToken = undefined;
+      } catch(error) {
+        if(this.stopped) {
+          break;
+        }
+        logger.error(
+          'Key record change stream failed; restarting.', {error});
+        await setTimeout(this.retryInterval);
+      }
+      // changes may have been missed, so evict every cached key record
+      clearCache({keyStorage: this.keyStorage});
+    }
+  }
+
+  _invalidate({change}) {
+    // if neither the key record nor its pre-image is available (e.g., a
+    // deleted key record w/o pre-images), evict every cached key record
+    // instead (`keyId` is `undefined`)
+    const keyId = change.fullDocument?.key?.id ??
+      change.fullDocumentBeforeChange?.key?.id;
+    clearCache({keyStorage: this.keyStorage, keyId});
+  }
+
+  static async create({keyStorage, retryInterval = 5000} = {}) {
+    const invalidator = new CacheInvalidator({keyStorage, retryInterval});
+
+    bedrock.events.on('bedrock-mongodb.ready', async () => {
+      await database.openCollections([keyStorage.collectionName]);
+      await invalidator.start();
+    });
+    bedrock.events.on('bedrock.stop', async () => invalidator.stop());
+
+    return invalidator;
+  }
+}
@@ -1,21 +1,108 @@
 /*!
- * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {config} from '@bedrock/core';
 
 const cfg = config['ssm-mongodb'] = {};
+
+// name of the key record collection for the default SSM instance (registered
+// with the package manager as `ssm-v1`); additional instances can be created
+// via `createSsm()`
+cfg.collectionName = 'ssm';
+
 cfg.keyRecordCache = {
   max: 100,
   ttl: 5000
 };
 
+// key record cache statistics (hits, misses, evictions, size)
+cfg.keyRecordCacheStats = {
+  // interval in milliseconds at which to log key record cache statistics;
+  // `null` to disable
+  logInterval: null
+};
+
+// cluster-wide key record cache invalidation; when enabled, every node
+// watches its key record collection via a MongoDB change stream and evicts
+// changed (e.g., revoked) or deleted key records from its cache so that it
+// does not wait for `keyRecordCache.ttl` to expire; requires a MongoDB
+// replica set or sharded cluster
+cfg.keyRecordCacheInvalidation = {
+  enabled: false,
+  // time to wait in milliseconds before restarting a failed change stream
+  retryInterval: 5000
+};
+
+// startup self-test; every SSM instance checks each supported key type via
+// known-answer tests and decrypts a random sample of its existing encrypted
+// key records once the database is ready; startup fails if any check fails
+cfg.selfTest = {
+  enabled: true,
+  // number of key records to sample; only encrypted ones are checked
+  sampleSize: 10
+};
+
+// audit log of KMS operations (`sign`, `verify`, `wrapKey`, `unwrapKey`,
+// `deriveSecret`, `encapsulate`, `decapsulate`, `encrypt`, `decrypt`)
+// performed with keys
+cfg.auditLog = {
+  // set to `true` to record an audit log entry for every KMS operation; off
+  // by default because it adds a database write to every operation and, once
+  // enabled, an operation fails if its entry cannot be recorded
+  enabled: false,
+  // how long to keep each entry in milliseconds; `null` to keep entries
+  // forever
+  retentionMs: 90 * 24 * 60 * 60 * 1000
+};
+
+// rate limits for KMS operations (`sign`, `verify`, `wrapKey`, `unwrapKey`,
+// `deriveSecret`, `encapsulate`, `decapsulate`, `encrypt`, `decrypt`)
+// performed with keys; counters are stored in the database so limits apply
+// across all nodes
+cfg.rateLimit = {
+  // length of each rate limit window in milliseconds
+  windowMs: 60 * 1000,
+  // max operations per key per window; `null` for no limit
+  maxOperationsPerKey: null,
+  // max operations using any key in a keystore per window; `null` for no
+  // limit
+  maxOperationsPerKeystore: null
+};
+
 // used to encrypt key secrets that are stored in key records
 cfg.keyRecordEncryption = {
-  // current key encryption key for wrapping randomly-generated content
-  // encryption keys used to encrypt key secrets at key record creation time;
-  // existing key records w/o key secrets encryption will be unaffected by a
-  // configuration change here
-  kek: null,
+  // ID of the current key encryption key (from `keks` below) for wrapping
+  // randomly-generated content encryption keys used to encrypt key secrets at
+  // key record creation time; existing key records are unaffected by a
+  // configuration change here until `reencryptKeyRecords()` is run
+  currentKekId: null,
+  // all key encryption keys that may be used to decrypt existing key records;
+  // when rotating, add the new KEK here, set `currentKekId` to its ID, and
+  // keep any previous KEKs so that older key records remain readable (at
+  // least until `reencryptKeyRecords()` has completed)
+  keks: [],
+  /*
+  keks: [{
+    id: '<a key identifier>',
+    secretKeyMultibase: '<multibase encoding of an AES-256 secret key>'
+  }, {
+    // instead of `secretKeyMultibase`, a KEK's secret can be loaded from a
+    // provider:
+    // `{type: 'file', path: '<path to a file with secretKeyMultibase>'}`,
+    // `{type: 'env', name: '<env var with secretKeyMultibase>'}`, or
+    // `{type: 'function', load: async ({id}) => '<secretKeyMultibase>'}`
+    id: '<a key identifier>',
+    provider: {type: 'file', path: '/run/secrets/ssm-kek'}
+  }]*/
+  // set to `true` to encrypt each keystore's key records under a per-keystore
+  // data key instead of directly under the current KEK; data keys are stored
+  // (wrapped by the current KEK) in the `<collectionName>-data-key`
+  // collection, and can be rotated or destroyed (crypto-shredding the
+  // keystore's keys) per keystore; requires a current KEK
+  keystoreDataKeys: false,
+  // deprecated: a single KEK; if set, it is added to `keks` and, if
+  // `currentKekId` is not set, used as the current KEK
+  kek: null
   /*
   kek: {
     id: '<a key identifier>',
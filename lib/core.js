@@ -0,0 +1,240 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as _aesGcmKey from './aesGcmKey.js';
+import * as _bbsKey from './bbsKey.js';
+import * as _hmacKey from './hmacKey.js';
+import * as _mlDsaKey from './mlDsaKey.js';
+import * as _mlKemKey from './mlKemKey.js';
+import * as _secp256k1Key from './secp256k1Key.js';
+import {Core} from '@bedrock/kms-module-core';
+
+// key types implemented by this module rather than by the base core
+const OPERATIONS = new Map([
+  // symmetric encryption keys
+  ['Aes256GcmKey2026', _aesGcmKey],
+  // hmac keys
+  ['Sha384HmacKey2019', _hmacKey],
+  ['Sha512HmacKey2019', _hmacKey],
+  // signature keys
+  ['urn:webkms:multikey:secp256k1', _secp256k1Key],
+  // post-quantum signature keys
+  ['urn:webkms:multikey:ML-DSA-44', _mlDsaKey],
+  ['urn:webkms:multikey:ML-DSA-65', _mlDsaKey],
+  ['urn:webkms:multikey:ML-DSA-87', _mlDsaKey],
+  // post-quantum key encapsulation keys
+  ['urn:webkms:multikey:ML-KEM-768', _mlKemKey],
+  ['urn:webkms:multikey:ML-KEM-1024', _mlKemKey]
+]);
+
+/**
+ * A security module core that adds key types and KMS operations to the base
+ * core from `@bedrock/kms-module-core`. Keys of any other type are handled
+ * by the base core.
+ */
+export class SsmCore extends Core {
+  /**
+   * Generates a new key.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keyId - The key ID to use.
+   * @param {string} options.controller - The key controller.
+   * @param {object} options.operation - The KMS operation.
+   *
+   * @returns {Promise<object>} Key information `{keyId, key,
+   *   keyDescription}`.
+   */
+  async generateKey({keyId, controller, operation}) {
+    const type = operation?.invocationTarget?.type;
+    if(!OPERATIONS.has(type)) {
+      return super.generateKey({keyId, controller, operation});
+    }
+
+    const {
+      invocationTarget: {
+        maxCapabilityChainLength, publicAlias, publicAliasTemplate
+      }
+    } = operation;
+    _assertOptional({
+      value: maxCapabilityChainLength, type: 'number',
+      name: 'options.operation.invocationTarget.maxCapabilityChainLength'
+    });
+    _assertOptional({
+      value: publicAlias, type: 'string',
+      name: 'options.operation.invocationTarget.publicAlias'
+    });
+    _assertOptional({
+      value: publicAliasTemplate, type: 'string',
+      name: 'options.operation.invocationTarget.publicAliasTemplate'
+    });
+    if(publicAlias && publicAliasTemplate) {
+      throw new Error(
+        'Only one of "publicAlias" or "publicAliasTemplate" may be given.');
+    }
+
+    const op = _getKeyOp({name: 'generateKey', type});
+    const {key} = await op({keyId, type});
+
+    // add any extra key restrictions and any public alias or template
+    if(maxCapabilityChainLength !== undefined) {
+      key.maxCapabilityChainLength = maxCapabilityChainLength;
+    }
+    if(publicAlias) {
+      key.publicAlias = publicAlias;
+    } else if(publicAliasTemplate) {
+      key.publicAliasTemplate = publicAliasTemplate;
+    }
+
+    const keyDescription = await this.getKeyDescription({key, controller});
+    return {keyId, key, keyDescription};
+  }
+
+  /**
+   * Gets the key description (no private key material) for the given key.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.key - The key object to use.
+   * @param {string} options.controller - The key controller.
+   *
+   * @returns {Promise<object>} The key description.
+   */
+  async getKeyDescription({key, controller} = {}) {
+    const description = await super.getKeyDescription({key, controller});
+    if(description['@context'] === undefined) {
+      // key types without a JSON-LD context
+      delete description['@context'];
+    }
+    return description;
+  }
+
+  async wrapKey({key, operation}) {
+    return this._run({name: 'wrapKey', key, operation});
+  }
+
+  async unwrapKey({key, operation}) {
+    return this._run({name: 'unwrapKey', key, operation});
+  }
+
+  /**
+   * Signs some data. BBS keys can also sign an explicit `header` and array
+   * of `messages` instead of a CBOR-encoded `[header, messages]` as
+   * `verifyData`.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.key - The key to use.
+   * @param {object} options.operation - The KMS operation with `verifyData`
+   *   or, for BBS keys, an optional `header` and `messages` (all
+   *   base64url-encoded).
+   *
+   * @returns {Promise<object>} An object containing `{signatureValue}`.
+   */
+  async sign({key, operation}) {
+    if(_bbsKey.isMultiMessageOperation({key, operation})) {
+      return _bbsKey.sign({key, operation});
+    }
+    return this._run({name: 'sign', key, operation});
+  }
+
+  async verify({key, operation}) {
+    return this._run({name: 'verify', key, operation});
+  }
+
+  async deriveSecret({key, operation}) {
+    return this._run({name: 'deriveSecret', key, operation});
+  }
+
+  /**
+   * Encapsulates a new random shared secret to the key's public key.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.key - The key to use.
+   * @param {object} options.operation - The KMS operation.
+   *
+   * @returns {Promise<object>} An object containing `{ciphertext, secret}`
+   *   (both base64url-encoded).
+   */
+  async encapsulate({key, operation}) {
+    return this._run({name: 'encapsulate', key, operation});
+  }
+
+  /**
+   * Decapsulates a shared secret from a ciphertext produced via
+   * `encapsulate()` or by another party using the key's public key.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.key - The key to use.
+   * @param {object} options.operation - The KMS operation with `ciphertext`
+   *   (base64url-encoded).
+   *
+   * @returns {Promise<object>} An object containing `{secret}`
+   *   (base64url-encoded).
+   */
+  async decapsulate({key, operation}) {
+    return this._run({name: 'decapsulate', key, operation});
+  }
+
+  /**
+   * Encrypts some data. Additional authenticated data, if given, is
+   * authenticated but not encrypted; the same additional authenticated data
+   * must be given to decrypt.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.key - The key to use.
+   * @param {object} options.operation - The KMS operation with `plaintext`
+   *   and optional `additionalData` (both base64url-encoded).
+   *
+   * @returns {Promise<object>} An object containing `{iv, ciphertext, tag}`
+   *   (all base64url-encoded).
+   */
+  async encrypt({key, operation}) {
+    return this._run({name: 'encrypt', key, operation});
+  }
+
+  /**
+   * Decrypts some data encrypted via `encrypt()`.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.key - The key to use.
+   * @param {object} options.operation - The KMS operation with `iv`,
+   *   `ciphertext`, `tag`, and optional `additionalData` (all
+   *   base64url-encoded).
+   *
+   * @returns {Promise<object>} An object containing `{plaintext}`
+   *   (base64url-encoded).
+   */
+  async decrypt({key, operation}) {
+    return this._run({name: 'decrypt', key, operation});
+  }
+
+  async _run({name, key, operation}) {
+    if(!(key && typeof key === 'object')) {
+      throw new TypeError('"options.key" must be an object.');
+    }
+    if(!(operation && typeof operation === 'object')) {
+      throw new TypeError('"options.operation" must be an object.');
+    }
+    if(!OPERATIONS.has(key.type)) {
+      if(typeof super[name] !== 'function') {
+        throw new Error(
+          `Unsupported operation "${name}" for key type "${key.type}".`);
+      }
+      return super[name]({key, operation});
+    }
+    const op = _getKeyOp({name, type: key.type});
+    return op({key, operation});
+  }
+}
+
+function _assertOptional({value, type, name}) {
+  if(value !== undefined && typeof value !== type) {
+    throw new TypeError(`"${name}" must be a ${type}.`);
+  }
+}
+
+function _getKeyOp({name, type}) {
+  const op = OPERATIONS.get(type)[name];
+  if(!op) {
+    throw new Error(`Unsupported operation "${name}" for key type "${type}".`);
+  }
+  return op;
+}
@@ -0,0 +1,319 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {createKeyRecordCache} from '@bedrock/kms-module-key-storage';
+import crypto from 'node:crypto';
+import {RecordCipher} from '@bedrock/record-cipher';
+
+const {util: {BedrockError}} = bedrock;
+
+// prefix for data key IDs, distinguishing them from KEK IDs in the
+// `encrypted.kekId` of key records
+const DATA_KEY_ID_PREFIX = 'urn:ssm-mongodb:data-key:';
+
+// multikey header for an AES-256 secret key (`aes-256`, 0xa2)
+const AES_256_HEADER = Buffer.from([0xa2, 0x01]);
+
+/**
+ * Stores per-keystore data keys. Each keystore has a current data key that
+ * encrypts the secrets of its key records and any previous data keys that
+ * have not yet been pruned after rotation. Data keys are stored wrapped
+ * under a key encryption key (KEK).
+ */
+export class DataKeyStorage {
+  constructor({collectionName, cacheConfig} = {}) {
+    this.collectionName = collectionName;
+    // record ciphers for decrypted data keys, by data key ID
+    this.cache = createKeyRecordCache(cacheConfig);
+
+    this.collection = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Gets the ID of the current data key for a keystore, creating the data
+   * key if the keystore does not have one yet.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keystoreId - The ID of the keystore.
+   * @param {object} options.recordCipher - The KEK record cipher to wrap any
+   *   new data key with.
+   *
+   * @returns {Promise<string>} The ID of the current data key.
+   */
+  async getCurrentId({keystoreId, recordCipher} = {}) {
+    const record = await this.collection.findOne(
+      {keystoreId}, {projection: {_id: 0, currentId: 1}});
+    if(record) {
+      return record.currentId;
+    }
+
+    const dataKey = await _generateDataKey({recordCipher});
+    const now = Date.now();
+    try {
+      await this.collection.insertOne({
+        keystoreId,
+        currentId: dataKey.id,
+        dataKeys: [dataKey],
+        meta: {created: now, updated: now}
+      });
+      return dataKey.id;
+    } catch(e) {
+      if(!database.isDuplicateError(e)) {
+        throw e;
+      }
+      // data key created concurrently
+      return this.getCurrentId({keystoreId, recordCipher});
+    }
+  }
+
+  /**
+   * Gets a record cipher that encrypts and decrypts with a data key.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the data key.
+   * @param {object} options.recordCipher - The KEK record cipher to unwrap
+   *   the data key with.
+   *
+   * @returns {Promise<object>} The record cipher for the data key.
+   */
+  async getCipher({id, recordCipher} = {}) {
+    const fn = async () => {
+      const record = await this.collection.findOne(
+        {'dataKeys.id': id}, {projection: {_id: 0, 'dataKeys.$': 1}});
+      if(!record) {
+        throw new BedrockError('Data key not found.', {
+          name: 'NotFoundError',
+          details: {dataKey: id, httpStatusCode: 404, public: true}
+        });
+      }
+      const [{encrypted: encryptedSecrets}] = record.dataKeys;
+      const {secrets: {secretKeyMultibase}} =
+        await recordCipher.decryptRecordSecrets({record: {encryptedSecrets}});
+      return RecordCipher.create({
+        currentKekId: id, keks: [{id, secretKeyMultibase}], encoding: 'json'
+      });
+    };
+    return this.cache.memoize({key: id, fn});
+  }
+
+  /**
+   * Creates a new current data key for a keystore. Previous data keys are
+   * kept until pruned.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keystoreId - The ID of the keystore.
+   * @param {object} options.recordCipher - The KEK record cipher to wrap the
+   *   new data key with.
+   *
+   * @returns {Promise<string>} The ID of the new current data key.
+   */
+  async rotate({keystoreId, recordCipher} = {}) {
+    const dataKey = await _generateDataKey({recordCipher});
+    const result = await this.collection.updateOne({keystoreId}, {
+      $push: {dataKeys: dataKey},
+      $set: {currentId: dataKey.id, 'meta.updated': Date.now()}
+    });
+    if(result.matchedCount === 0) {
+      // no data key yet
+      return this.getCurrentId({keystoreId, recordCipher});
+    }
+    return dataKey.id;
+  }
+
+  /**
+   * Removes all of a keystore's data keys except for the current one and
+   * any given data keys that are still in use.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keystoreId - The ID of the keystore.
+   * @param {Array<string>} [options.keep=[]] - The IDs of data keys to keep.
+   *
+   * @returns {Promise<Array<string>>} The IDs of the removed data keys.
+   */
+  async prune({keystoreId, keep = []} = {}) {
+    const record = await this.collection.findOne(
+      {keystoreId}, {projection: {_id: 0, currentId: 1, 'dataKeys.id': 1}});
+    if(!record) {
+      return [];
+    }
+    const ids = new Set([record.currentId, ...keep]);
+    const removed = record.dataKeys.map(({id}) => id)
+      .filter(id => !ids.has(id));
+    if(removed.length > 0) {
+      await this.collection.updateOne({keystoreId}, {
+        $pull: {dataKeys: {id: {$in: removed}}},
+        $set: {'meta.updated': Date.now()}
+      });
+      removed.forEach(id => this.cache.delete(id));
+    }
+    return removed;
+  }
+
+  /**
+   * Destroys all of a keystore's data keys. Key records encrypted under
+   * them can no longer be decrypted.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keystoreId - The ID of the keystore.
+   *
+   * @returns {Promise<boolean>} `true` if any data keys were destroyed.
+   */
+  async destroy({keystoreId} = {}) {
+    const record = await this.collection.findOneAndDelete(
+      {keystoreId}, {projection: {_id: 0, 'dataKeys.id': 1}});
+    if(!record) {
+      return false;
+    }
+    record.dataKeys.forEach(({id}) => this.cache.delete(id));
+    return true;
+  }
+
+  /**
+   * Rewraps any data keys that are not wrapped under the current KEK, e.g.,
+   * after KEK rotation.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.recordCipher - The KEK record cipher.
+   *
+   * @returns {Promise<number>} The number of keystores whose data keys were
+   *   rewrapped.
+   */
+  async rewrap({recordCipher} = {}) {
+    const {currentKekId} = recordCipher;
+    // match keystores with *any* data key that is not wrapped under the
+    // current KEK, even if others already are
+    const cursor = this.collection.find({
+      dataKeys: {$elemMatch: {'encrypted.kekId': {$ne: currentKekId}}}
+    }, {projection: {_id: 1, dataKeys: 1, meta: 1}});
+    let count = 0;
+    for await (const record of cursor) {
+      const dataKeys = await Promise.all(record.dataKeys.map(
+        async ({encrypted: encryptedSecrets, ...rest}) => {
+          if(encryptedSecrets.kekId === currentKekId) {
+            return {...rest, encrypted: encryptedSecrets};
+          }
+          const {secrets} = await recordCipher.decryptRecordSecrets(
+            {record: {encryptedSecrets}});
+          const {encryptedSecrets: encrypted} =
+            await recordCipher.encryptRecordSecrets({record: {secrets}});
+          return {...rest, encrypted};
+        }));
+      // only update the record if it has not changed concurrently
+      const result = await this.collection.updateOne({
+        _id: record._id,
+        'meta.updated': record.meta.updated
+      }, {
+        $set: {dataKeys, 'meta.updated': Date.now()}
+      });
+      count += result.modifiedCount;
+    }
+    return count;
+  }
+
+  static async create({collectionName, cacheConfig} = {}) {
+    const storage = new DataKeyStorage({collectionName, cacheConfig});
+
+    bedrock.events.on('bedrock-mongodb.ready', async () => {
+      await database.openCollections([storage.collectionName]);
+
+      await database.createIndexes([{
+        // cover queries by keystore ID
+        collection: storage.collectionName,
+        fields: {keystoreId: 1},
+        options: {unique: true}
+      }, {
+        // cover queries by data key ID
+        collection: storage.collectionName,
+        fields: {'dataKeys.id': 1},
+        options: {unique: true, sparse: true}
+      }]);
+
+      storage.collection = database.collections[collectionName];
+      storage.initialized = true;
+    });
+
+    return storage;
+  }
+}
+
+/**
+ * A record cipher that encrypts key record secrets under the current data
+ * key of the key record's keystore; data keys are wrapped under the current
+ * KEK of the given KEK record cipher. Key record secrets that are encrypted
+ * directly under a KEK (i.e., before per-keystore data keys were enabled)
+ * are decrypted via the KEK record cipher.
+ */
+export class DataKeyRecordCipher {
+  constructor({recordCipher, dataKeyStorage} = {}) {
+    this.recordCipher = recordCipher;
+    this.dataKeyStorage = dataKeyStorage;
+  }
+
+  get currentKekId() {
+    return this.recordCipher.currentKekId;
+  }
+
+  isSecretsEncryptionEnabled() {
+    return true;
+  }
+
+  /**
+   * Gets the ID of the key that new key record secrets for a keystore are
+   * encrypted under, i.e., the keystore's current data key.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keystoreId - The ID of the keystore.
+   *
+   * @returns {Promise<string>} The ID of the current data key.
+   */
+  async getCurrentKekId({keystoreId} = {}) {
+    const {dataKeyStorage, recordCipher} = this;
+    return dataKeyStorage.getCurrentId({keystoreId, recordCipher});
+  }
+
+  async decryptRecordSecrets({record} = {}) {
+    const id = record.encryptedSecrets?.kekId;
+    if(!isDataKeyId(id)) {
+      return this.recordCipher.decryptRecordSecrets({record});
+    }
+    const {dataKeyStorage, recordCipher} = this;
+    const cipher = await dataKeyStorage.getCipher({id, recordCipher});
+    return cipher.decryptRecordSecrets({record});
+  }
+
+  /**
+   * Encrypts key record secrets under the current data key of a keystore.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.record - The record with `secrets` to encrypt.
+   * @param {string} options.keystoreId - The ID of the keystore.
+   *
+   * @returns {Promise<object>} An object with `encryptedSecrets` instead of
+   *   `secrets`.
+   */
+  async encryptRecordSecrets({record, keystoreId} = {}) {
+    if(typeof keystoreId !== 'string') {
+      throw new TypeError('"keystoreId" must be a string.');
+    }
+    const {dataKeyStorage, recordCipher} = this;
+    const id = await this.getCurrentKekId({keystoreId});
+    const cipher = await dataKeyStorage.getCipher({id, recordCipher});
+    return cipher.encryptRecordSecrets({record});
+  }
+}
+
+export function isDataKeyId(id) {
+  return typeof id === 'string' && id.startsWith(DATA_KEY_ID_PREFIX);
+}
+
+async function _generateDataKey({recordCipher}) {
+  const id = `${DATA_KEY_ID_PREFIX}${crypto.randomUUID()}`;
+  const secretKeyMultibase = 'u' + Buffer.concat(
+    [AES_256_HEADER, crypto.randomBytes(32)]).toString('base64url');
+  const {encryptedSecrets: encrypted} = await recordCipher.encryptRecordSecrets(
+    {record: {secrets: {secretKeyMultibase}}});
+  return {id, created: Date.now(), encrypted};
+}
@@ -0,0 +1,33 @@
+/*!
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58 from 'base58-universal';
+
+// gets a query for key records sorted by `{keystoreId, localId}` that follow
+// the key record for the key ID `after`, if given
+export function getKeyRecordPageQuery({after} = {}) {
+  if(after === undefined) {
+    return {};
+  }
+  const {keystoreId, localId} = splitKeyId({id: after});
+  return {
+    $or: [
+      {keystoreId: {$gt: keystoreId}},
+      {keystoreId, localId: {$gt: localId}}
+    ]
+  };
+}
+
+// splits a key ID into the `keystoreId` and `localId` used in key records
+export function splitKeyId({id} = {}) {
+  // format: <keystoreId>/<localId>
+  const idx = id.lastIndexOf('/');
+  const localId = id.slice(idx + 1);
+  return {
+    keystoreId: id.substring(0, idx),
+    // stored as a `Buffer` (from `z<base58-encoded ID>`) where the ID is a
+    // multicodec encoded 16 byte random value
+    // 0x00 = identity tag, 0x10 = length (16 bytes) header
+    localId: Buffer.from(base58.decode(localId.slice(1)).slice(2))
+  };
+}
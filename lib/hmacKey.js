@@ -0,0 +1,81 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import crypto from 'node:crypto';
+
+// HMAC key types and their hash algorithms; `Sha256HmacKey2019` is
+// supported by the base core
+const SUPPORTED_KEY_TYPES = new Map([
+  ['Sha384HmacKey2019', {algorithm: 'sha384', size: 48}],
+  ['Sha512HmacKey2019', {algorithm: 'sha512', size: 64}]
+]);
+
+/**
+ * Generates a new HMAC key with a secret the size of the hash output.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.type - The key type.
+ *
+ * @returns {Promise<object>} An object containing `{key}`.
+ */
+export async function generateKey({keyId, type} = {}) {
+  const {size} = _getKeyType({type});
+  const key = {
+    id: keyId,
+    type,
+    secret: crypto.randomBytes(size).toString('base64url')
+  };
+  return {key};
+}
+
+/**
+ * Signs some data.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} An object containing `{signatureValue}`.
+ */
+export async function sign({key, operation}) {
+  const signature = _hmac({key, verifyData: operation.verifyData});
+  return {signatureValue: signature.toString('base64url')};
+}
+
+/**
+ * Verifies some data.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} An object containing `{verified}`.
+ */
+export async function verify({key, operation}) {
+  const {signatureValue, verifyData} = operation;
+  const signature = Buffer.from(signatureValue, 'base64url');
+  const expected = _hmac({key, verifyData});
+  const verified = signature.length === expected.length &&
+    crypto.timingSafeEqual(signature, expected);
+  return {verified};
+}
+
+function _getKeyType({type}) {
+  const keyType = SUPPORTED_KEY_TYPES.get(type);
+  if(!keyType) {
+    throw new Error(`Unknown key type "${type}".`);
+  }
+  return keyType;
+}
+
+function _hmac({key, verifyData}) {
+  const {algorithm} = _getKeyType({type: key.type});
+  const hmac = crypto.createHmac(
+    algorithm, Buffer.from(key.secret, 'base64url'));
+  hmac.update(Buffer.from(verifyData, 'base64url'));
+  return hmac.digest();
+}
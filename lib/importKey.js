@@ -0,0 +1,207 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58 from 'base58-universal';
+import * as bedrock from '@bedrock/core';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import crypto from 'node:crypto';
+
+const {util: {BedrockError}} = bedrock;
+
+const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+
+// key types that can be imported and their JWK curves
+const SUPPORTED_KEY_TYPES = new Map([
+  ['urn:webkms:multikey:Ed25519', {crv: 'Ed25519'}],
+  ['urn:webkms:multikey:P-256', {crv: 'P-256'}],
+  ['urn:webkms:multikey:P-384', {crv: 'P-384'}],
+  ['urn:webkms:multikey:P-521', {crv: 'P-521'}],
+  ['urn:webkms:multikey:ECDH-P-256', {crv: 'P-256', keyAgreement: true}],
+  ['urn:webkms:multikey:ECDH-P-384', {crv: 'P-384', keyAgreement: true}],
+  ['urn:webkms:multikey:ECDH-P-521', {crv: 'P-521', keyAgreement: true}],
+  ['urn:webkms:multikey:X25519', {crv: 'X25519', keyAgreement: true}]
+]);
+
+const CURVES = new Map([
+  // multicodec `*-priv` headers as varints and (secret) key sizes
+  ['Ed25519', {kty: 'OKP', secretHeader: '8026', size: 32}],
+  ['X25519', {kty: 'OKP', secretHeader: '8226', size: 32}],
+  ['P-256', {kty: 'EC', secretHeader: '8626', size: 32, name: 'prime256v1'}],
+  ['P-384', {kty: 'EC', secretHeader: '8726', size: 48, name: 'secp384r1'}],
+  ['P-521', {kty: 'EC', secretHeader: '8826', size: 66, name: 'secp521r1'}]
+]);
+
+// PKCS#8 DER prefixes for raw OKP secret keys
+const PKCS8_PREFIXES = new Map([
+  ['Ed25519', Buffer.from('302e020100300506032b657004220420', 'hex')],
+  ['X25519', Buffer.from('302e020100300506032b656e04220420', 'hex')]
+]);
+
+// multicodec x25519-pub header as varint
+const MULTICODEC_X25519_PUB_HEADER = new Uint8Array([0xec, 0x01]);
+// multicodec x25519-priv header as varint
+const MULTICODEC_X25519_PRIV_HEADER = new Uint8Array([0x82, 0x26]);
+
+/**
+ * Creates a key from externally generated secret key material. The key
+ * material must be given in the KMS operation as either a `privateKeyJwk`
+ * or a multikey `secretKeyMultibase`; the public key is always derived
+ * from the secret key.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.type - The key type.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} An object containing `{key}`.
+ */
+export async function importKey({keyId, type, operation} = {}) {
+  const keyType = SUPPORTED_KEY_TYPES.get(type);
+  if(!keyType) {
+    throw new BedrockError(`Unsupported key type "${type}" for import.`, {
+      name: 'NotSupportedError',
+      details: {public: true, httpStatusCode: 400}
+    });
+  }
+
+  const {privateKeyJwk, secretKeyMultibase} = operation;
+  if(!!privateKeyJwk === !!secretKeyMultibase) {
+    throw _dataError(
+      'Exactly one of "privateKeyJwk" or "secretKeyMultibase" must be given.');
+  }
+  const jwk = privateKeyJwk ?
+    _fromJwk({jwk: privateKeyJwk, crv: keyType.crv}) :
+    _fromSecretKeyMultibase({secretKeyMultibase, crv: keyType.crv});
+
+  let key;
+  if(keyType.crv === 'X25519') {
+    key = {
+      '@context': MULTIKEY_CONTEXT_V1_URL,
+      id: keyId,
+      type,
+      publicKeyMultibase: _multibaseEncode(
+        MULTICODEC_X25519_PUB_HEADER, Buffer.from(jwk.x, 'base64url')),
+      secretKeyMultibase: _multibaseEncode(
+        MULTICODEC_X25519_PRIV_HEADER, Buffer.from(jwk.d, 'base64url'))
+    };
+  } else {
+    let keyPair;
+    if(keyType.crv === 'Ed25519') {
+      keyPair = await Ed25519Multikey.fromJwk(
+        {jwk, secretKey: true, id: keyId});
+    } else {
+      const key_ops = keyType.keyAgreement ? ['deriveBits'] : ['sign'];
+      keyPair = await EcdsaMultikey.fromJwk(
+        {jwk: {...jwk, key_ops}, secretKey: true, id: keyId});
+    }
+    key = await keyPair.export(
+      {publicKey: true, secretKey: true, includeContext: true});
+    key.type = type;
+  }
+
+  return {key};
+}
+
+// returns a JWK w/public key parameters derived from the given JWK's secret
+function _fromJwk({jwk, crv}) {
+  if(!(jwk && typeof jwk === 'object' && typeof jwk.d === 'string')) {
+    throw _dataError('"privateKeyJwk" must be a JWK with a "d" parameter.');
+  }
+  const {kty, size} = CURVES.get(crv);
+  if(jwk.kty !== kty || jwk.crv !== crv) {
+    throw _dataError(
+      `"privateKeyJwk" must have "kty" "${kty}" and "crv" "${crv}".`);
+  }
+  const secretKey = Buffer.from(jwk.d, 'base64url');
+  if(secretKey.length !== size) {
+    throw _dataError('Invalid "privateKeyJwk" secret key size.');
+  }
+  const derived = _deriveJwk({crv, secretKey});
+  if((jwk.x !== undefined && jwk.x !== derived.x) ||
+    (jwk.y !== undefined && jwk.y !== derived.y)) {
+    throw _dataError(
+      '"privateKeyJwk" public key parameters do not match its secret key.');
+  }
+  return derived;
+}
+
+// returns a JWK w/public key parameters derived from the given secret key
+function _fromSecretKeyMultibase({secretKeyMultibase, crv}) {
+  let multikey;
+  const mbHeader = typeof secretKeyMultibase === 'string' ?
+    secretKeyMultibase[0] : undefined;
+  if(mbHeader === 'z') {
+    multikey = Buffer.from(base58.decode(secretKeyMultibase.slice(1)));
+  } else if(mbHeader === 'u') {
+    multikey = Buffer.from(secretKeyMultibase.slice(1), 'base64url');
+  } else {
+    throw _dataError(
+      '"secretKeyMultibase" must be a base58btc or base64url multibase ' +
+      'encoded string.');
+  }
+  // intentionally do not report what was detected because a malformed
+  // secret could have some of its bytes revealed
+  const {secretHeader, size} = CURVES.get(crv);
+  const header = multikey.subarray(0, 2).toString('hex');
+  let secretKey = multikey.subarray(2);
+  let publicKey;
+  if(crv === 'Ed25519' && secretKey.length === (size * 2)) {
+    // Ed25519 secret keys may be encoded as `<seed><public key>`
+    publicKey = secretKey.subarray(size);
+    secretKey = secretKey.subarray(0, size);
+  }
+  if(header !== secretHeader || secretKey.length !== size) {
+    throw _dataError(
+      `"secretKeyMultibase" is not a valid ${crv} secret key multikey.`);
+  }
+  const jwk = _deriveJwk({crv, secretKey});
+  if(publicKey && !publicKey.equals(Buffer.from(jwk.x, 'base64url'))) {
+    throw _dataError(
+      '"secretKeyMultibase" public key does not match its secret key.');
+  }
+  return jwk;
+}
+
+function _deriveJwk({crv, secretKey}) {
+  const {kty, name} = CURVES.get(crv);
+  const d = Buffer.from(secretKey).toString('base64url');
+  if(kty === 'OKP') {
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([PKCS8_PREFIXES.get(crv), secretKey]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    const {x} = crypto.createPublicKey(privateKey).export({format: 'jwk'});
+    return {kty, crv, x, d};
+  }
+  let publicKey;
+  try {
+    const ecdh = crypto.createECDH(name);
+    ecdh.setPrivateKey(secretKey);
+    publicKey = ecdh.getPublicKey();
+  } catch(cause) {
+    throw _dataError(`Invalid ${crv} secret key.`, {cause});
+  }
+  // uncompressed point: 0x04 | x | y
+  const size = (publicKey.length - 1) / 2;
+  return {
+    kty, crv,
+    x: publicKey.subarray(1, 1 + size).toString('base64url'),
+    y: publicKey.subarray(1 + size).toString('base64url'),
+    d
+  };
+}
+
+function _dataError(message, {cause} = {}) {
+  return new BedrockError(message, {
+    name: 'DataError',
+    cause,
+    details: {public: true, httpStatusCode: 400}
+  });
+}
+
+function _multibaseEncode(header, key) {
+  return 'z' + base58.encode(Buffer.concat([header, key]));
+}
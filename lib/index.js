@@ -2,37 +2,23 @@
  * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import * as brPackageManager from '@bedrock/package-manager';
-import {Core, createKmsModule} from '@bedrock/kms-module-core';
-import {createKeyStorage} from './storage.js';
-import {logger} from './logger.js';
-import {RecordCipher} from '@bedrock/record-cipher';
+import {CacheInvalidator} from './cacheInvalidator.js';
+import {Ssm} from './ssm.js';
 
 // load config defaults
 import './config.js';
 
-let CORE;
-let KEY_STORAGE;
-let KEY_RECORD_CIPHER;
+let DEFAULT_SSM;
 let KMS_MODULE_API;
 
 bedrock.events.on('bedrock.init', async () => {
-  // create security module core and key record cipher/storage singletons
-  CORE = new Core();
-  KEY_RECORD_CIPHER = await _createKeyRecordCipher();
-  KEY_STORAGE = await createKeyStorage({
-    collectionName: 'ssm', recordCipher: KEY_RECORD_CIPHER
-  });
-
-  ({api: KMS_MODULE_API} = await createKmsModule({
-    core: CORE, keyStorage: KEY_STORAGE
-  }));
-
-  return brPackageManager.register({
+  // create default SSM instance
+  DEFAULT_SSM = await Ssm.create({
     alias: 'ssm-v1',
-    packageName: '@bedrock/ssm-mongodb',
-    type: 'webkms-module'
+    collectionName: bedrock.config['ssm-mongodb'].collectionName,
+    packageName: '@bedrock/ssm-mongodb'
   });
+  KMS_MODULE_API = DEFAULT_SSM.kmsModuleApi;
 });
 
 /**
@@ -48,10 +34,43 @@ export async function getKmsModuleApi() {
   return KMS_MODULE_API;
 }
 
+/**
+ * Creates an additional SSM instance with its own key record collection,
+ * key record cache, and key record cipher. The instance is registered with
+ * `@bedrock/package-manager` as a `webkms-module` under the given `alias`;
+ * its package name is `@bedrock/ssm-mongodb/lib/instance.js?alias=<alias>`,
+ * which exports `getKmsModuleApi()` for the instance. This must be called no
+ * later than the `bedrock.init` event.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.alias - The package manager alias to use.
+ * @param {string} options.collectionName - The name of the key record
+ *   collection.
+ * @param {object} [options.config={}] - Config overrides for the instance,
+ *   e.g., `keyRecordEncryption` or `keyRecordCache`; any other config is
+ *   read from the `ssm-mongodb` bedrock config.
+ *
+ * @returns {Promise<object>} The SSM instance; its KMS module API is
+ *   available via its `kmsModuleApi` property.
+ */
+export async function createSsm({alias, collectionName, config} = {}) {
+  return Ssm.create({alias, collectionName, config});
+}
+
 // backwards compatibility; expose KMS_MODULE_API on this JS module directly:
 
 /**
- * Generates a new key.
+ * Generates a new key. The operation's `invocationTarget` may include an
+ * optional validity period for the key via `notBefore` and/or `notAfter`
+ * date-time strings; `sign`, `deriveSecret`, `wrapKey`, and `unwrapKey` are
+ * refused outside of it.
+ *
+ * The `invocationTarget` may also include a usage `policy` with the KMS
+ * `operations` the key may be used for, e.g., `['sign']`, and optional
+ * `verifyData` rules for `sign` and `verify`: a `maxSize` in bytes and/or an
+ * allow-list of base64url-encoded `prefixes`. Any other use of the key is
+ * refused with a `NotAllowedError`. The policy is included in the key's
+ * description.
  *
  * @param {object} options - The options to use.
  * @param {string} options.keyId - The key ID to use.
@@ -64,6 +83,26 @@ export async function generateKey({keyId, controller, operation} = {}) {
   return KMS_MODULE_API.generateKey({keyId, controller, operation});
 }
 
+/**
+ * Imports an externally generated key. The secret key material must be
+ * given in the KMS operation as either a JWK (`privateKeyJwk`) or a multikey
+ * (`secretKeyMultibase`). Supported key types are
+ * `urn:webkms:multikey:Ed25519`, `urn:webkms:multikey:P-256` (`-384`,
+ * `-521`), `urn:webkms:multikey:ECDH-P-256` (`-384`, `-521`), and
+ * `urn:webkms:multikey:X25519`. The operation's `invocationTarget.id` must
+ * be `keyId`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.controller - The key controller.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} Key information `{keyId, keyDescription}`.
+ */
+export async function importKey({keyId, controller, operation} = {}) {
+  return KMS_MODULE_API.importKey({keyId, controller, operation});
+}
+
 /**
  * Gets the number of keys in a given keystore.
  *
@@ -76,6 +115,45 @@ export async function getKeyCount({keystoreId} = {}) {
   return KMS_MODULE_API.getKeyCount({keystoreId});
 }
 
+/**
+ * Gets statistics about the keys in a given keystore: the number of keys by
+ * type and by the controller that created them, the number of key records
+ * with encrypted versus plaintext secrets, and the oldest and newest key
+ * creation times (in milliseconds since the epoch).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ *
+ * @returns {Promise<object>} The keystore statistics with `count`,
+ *   `byType`, `byController`, `encrypted`, `plaintext`, `oldestCreated`, and
+ *   `newestCreated`.
+ */
+export async function getKeystoreStats({keystoreId} = {}) {
+  return KMS_MODULE_API.getKeystoreStats({keystoreId});
+}
+
+/**
+ * Lists the key descriptions (no private key material) for the keys in a
+ * given keystore, one page at a time.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ * @param {string} [options.controller] - A key controller to filter by; only
+ *   keys created by this controller are listed.
+ * @param {string} [options.type] - A key type to filter by.
+ * @param {number} [options.limit=10] - The maximum number of key
+ *   descriptions to return, up to 100.
+ * @param {string} [options.after] - The `after` value from a previous call,
+ *   to get the next page of key descriptions.
+ *
+ * @returns {Promise<object>} An object containing `{keyDescriptions, after}`.
+ */
+export async function listKeys({
+  keystoreId, controller, type, limit, after
+} = {}) {
+  return KMS_MODULE_API.listKeys({keystoreId, controller, type, limit, after});
+}
+
 /**
  * Gets the key description (no private key material) for the given key.
  *
@@ -119,6 +197,45 @@ export async function unwrapKey({keyId, operation, zcapInvocation} = {}) {
   return KMS_MODULE_API.unwrapKey({keyId, operation, zcapInvocation});
 }
 
+/**
+ * Encrypts some data with an `Aes256GcmKey2026` key (AES-256-GCM) under a
+ * random IV. Any additional authenticated data (AAD) is authenticated but
+ * not encrypted and must be given again to decrypt.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {object} options.operation - The KMS operation with `plaintext`
+ *   and optional `additionalData` (both base64url-encoded).
+ * @param {object} [options.zcapInvocation] - The zcap invocation used to
+ *   run the KMS operation; if the KMS operation was invoked via zcap.
+ *
+ * @returns {Promise<object>} An object containing `{iv, ciphertext, tag}`
+ *   (all base64url-encoded).
+ */
+export async function encrypt({keyId, operation, zcapInvocation} = {}) {
+  return KMS_MODULE_API.encrypt({keyId, operation, zcapInvocation});
+}
+
+/**
+ * Decrypts some data encrypted via `encrypt()`. Decryption fails with an
+ * `OperationError` if the data or additional authenticated data has been
+ * modified.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {object} options.operation - The KMS operation with `iv`,
+ *   `ciphertext`, `tag`, and optional `additionalData` (all
+ *   base64url-encoded).
+ * @param {object} [options.zcapInvocation] - The zcap invocation used to
+ *   run the KMS operation; if the KMS operation was invoked via zcap.
+ *
+ * @returns {Promise<object>} An object containing `{plaintext}`
+ *   (base64url-encoded).
+ */
+export async function decrypt({keyId, operation, zcapInvocation} = {}) {
+  return KMS_MODULE_API.decrypt({keyId, operation, zcapInvocation});
+}
+
 /**
  * Signs some data. Note that the data will be sent to the server, so if
  * this data is intended to be secret it should be hashed first. However,
@@ -137,6 +254,25 @@ export async function sign({keyId, operation, zcapInvocation} = {}) {
   return KMS_MODULE_API.sign({keyId, operation, zcapInvocation});
 }
 
+/**
+ * Signs a batch of data with the same key, retrieving the key only once.
+ * Each KMS operation in the batch succeeds or fails independently.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {Array<object>} options.operations - The KMS `sign` operations, each
+ *   with `verifyData`.
+ * @param {object} [options.zcapInvocation] - The zcap invocation used to
+ *   run the KMS operations; if the KMS operations were invoked via zcap.
+ *
+ * @returns {Promise<object>} An object containing `{results}` with one
+ *   result per KMS operation, in order, that is either `{signatureValue}`
+ *   or `{error}`.
+ */
+export async function signBatch({keyId, operations, zcapInvocation} = {}) {
+  return KMS_MODULE_API.signBatch({keyId, operations, zcapInvocation});
+}
+
 /**
  * Verifies some data. Note that the data will be sent to the server, so if
  * this data is intended to be secret it should be hashed first. However,
@@ -173,24 +309,284 @@ export async function deriveSecret({keyId, operation, zcapInvocation} = {}) {
   return KMS_MODULE_API.deriveSecret({keyId, operation, zcapInvocation});
 }
 
+/**
+ * Encapsulates a new random shared secret to the public key of an ML-KEM key
+ * (`urn:webkms:multikey:ML-KEM-768` or `-1024`). As with `deriveSecret()`,
+ * the secret should be input into a key derivation function (KDF) rather
+ * than used as a shared key itself.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {object} options.operation - The KMS operation.
+ * @param {object} [options.zcapInvocation] - The zcap invocation used to
+ *   run the KMS operation; if the KMS operation was invoked via zcap.
+ *
+ * @returns {Promise<object>} An object containing `{ciphertext, secret}`
+ *   (both base64url-encoded).
+ */
+export async function encapsulate({keyId, operation, zcapInvocation} = {}) {
+  return KMS_MODULE_API.encapsulate({keyId, operation, zcapInvocation});
+}
+
+/**
+ * Decapsulates a shared secret using an ML-KEM key. The ciphertext may be
+ * produced by `encapsulate()` or by any party holding the key's public key.
+ * A ciphertext that was not produced for the key's public key yields an
+ * unrelated secret rather than an error.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {object} options.operation - The KMS operation with `ciphertext`
+ *   (base64url-encoded).
+ * @param {object} [options.zcapInvocation] - The zcap invocation used to
+ *   run the KMS operation; if the KMS operation was invoked via zcap.
+ *
+ * @returns {Promise<object>} An object containing `{secret}`
+ *   (base64url-encoded).
+ */
+export async function decapsulate({keyId, operation, zcapInvocation} = {}) {
+  return KMS_MODULE_API.decapsulate({keyId, operation, zcapInvocation});
+}
+
+/**
+ * Derives a new secret key via HKDF. The input keying material is either the
+ * secret of an HMAC key (`Sha256HmacKey2019`, `Sha384HmacKey2019`, or
+ * `Sha512HmacKey2019`, using the same hash) or the secret derived with a key
+ * agreement key and the peer public key given as `operation.publicKey`
+ * (using SHA-256). The optional `operation.salt` and `operation.info` are
+ * base64url-encoded.
+ *
+ * If `operation.derivedKey` is given, the derived key is stored as a new key
+ * with the `id` and `type` (`AesKeyWrappingKey2019`, `Aes256GcmKey2026`, or
+ * an HMAC key type) it gives; it must be in the same keystore. Otherwise,
+ * the derived key (of `operation.length` bytes, default 32) is returned
+ * wrapped under the `AesKeyWrappingKey2019` key identified by
+ * `operation.wrappingKeyId`, which must also be in the same keystore.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The ID of the key to derive from.
+ * @param {string} options.controller - The key controller.
+ * @param {object} options.operation - The KMS operation.
+ * @param {object} [options.zcapInvocation] - The zcap invocation used to
+ *   run the KMS operation; if the KMS operation was invoked via zcap.
+ *
+ * @returns {Promise<object>} Either key information `{keyId,
+ *   keyDescription}` for a stored key or `{wrappedKey}`.
+ */
+export async function deriveKey({
+  keyId, controller, operation, zcapInvocation
+} = {}) {
+  return KMS_MODULE_API.deriveKey(
+    {keyId, controller, operation, zcapInvocation});
+}
+
+/**
+ * Revokes a key. A revoked key's description can still be retrieved, but
+ * the key can no longer be used in any KMS operation.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.controller - The key controller; must match the
+ *   controller recorded for the key at its creation.
+ *
+ * @returns {Promise<object>} An object containing `{revoked: true}`.
+ */
+export async function revokeKey({keyId, controller} = {}) {
+  return KMS_MODULE_API.revokeKey({keyId, controller});
+}
+
+/**
+ * Deletes a key, including all of its secret material.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.controller - The key controller; must match the
+ *   controller recorded for the key at its creation.
+ *
+ * @returns {Promise<object>} An object containing `{deleted: true}`.
+ */
+export async function deleteKey({keyId, controller} = {}) {
+  return KMS_MODULE_API.deleteKey({keyId, controller});
+}
+
+/**
+ * Gets audit log entries for the KMS operations performed with a key or
+ * with any key in a keystore, ordered by date. Entries are only recorded
+ * when the `auditLog.enabled` config option is set and are kept for
+ * `auditLog.retentionMs`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.keyId] - The ID of the key.
+ * @param {string} [options.keystoreId] - The ID of the keystore.
+ * @param {Date|number} [options.start] - The earliest date (inclusive).
+ * @param {Date|number} [options.end] - The latest date (exclusive).
+ * @param {number} [options.limit=100] - The maximum number of entries to
+ *   return, up to 1000.
+ *
+ * @returns {Promise<object>} An object containing `{entries}`.
+ */
+export async function getAuditLog({
+  keyId, keystoreId, start, end, limit
+} = {}) {
+  return KMS_MODULE_API.getAuditLog({keyId, keystoreId, start, end, limit});
+}
+
+/**
+ * Re-encrypts existing key records under the current key encryption key
+ * (KEK) from the `keyRecordEncryption` config. This should be run after key
+ * record encryption is enabled or after the current KEK is rotated; any
+ * previous KEKs must remain in the config until it completes.
+ *
+ * Processing can be resumed by passing the `after` value returned from a
+ * previous (e.g., aborted) call.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.keystoreId] - The ID of a keystore to limit
+ *   processing to.
+ * @param {string} [options.after] - The key ID of the last key record that
+ *   was processed, to resume processing after it.
+ * @param {number} [options.batchSize=100] - The number of key records to
+ *   process per page.
+ * @param {Function} [options.onProgress] - A function to call with
+ *   `{after, processed, reencrypted}` after each page is processed.
+ * @param {AbortSignal} [options.signal] - A signal to abort processing after
+ *   the current page.
+ *
+ * @returns {Promise<object>} An object with `{after, processed, reencrypted,
+ *   done}`.
+ */
+export async function reencryptKeyRecords({
+  keystoreId, after, batchSize, onProgress, signal
+} = {}) {
+  return DEFAULT_SSM.reencryptKeyRecords({
+    keystoreId, after, batchSize, onProgress, signal
+  });
+}
+
+/**
+ * Rotates the data key of a keystore when per-keystore data keys are
+ * enabled via `keyRecordEncryption.keystoreDataKeys`. A new data key is
+ * created, the keystore's key records are re-encrypted under it, and then
+ * the keystore's previous data keys are removed.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ *
+ * @returns {Promise<object>} An object with `{dataKeyId, processed,
+ *   reencrypted, removed}`.
+ */
+export async function rotateKeystoreDataKey({keystoreId} = {}) {
+  return DEFAULT_SSM.rotateKeystoreDataKey({keystoreId});
+}
+
+/**
+ * Destroys the data keys of a keystore when per-keystore data keys are
+ * enabled via `keyRecordEncryption.keystoreDataKeys`. This crypto-shreds
+ * every key in the keystore that is encrypted under them; those keys can no
+ * longer be used. Other nodes may continue to use cached data keys and key
+ * records until `keyRecordCache.ttl` expires.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ *
+ * @returns {Promise<object>} An object with `{destroyed}`.
+ */
+export async function destroyKeystoreDataKey({keystoreId} = {}) {
+  return DEFAULT_SSM.destroyKeystoreDataKey({keystoreId});
+}
+
+/**
+ * Exports a keystore as a portable archive, e.g., for backup or to move it
+ * to another deployment. Every key record in the keystore, including its
+ * secrets, is encrypted under the given AES-256 wrapping key; the archive
+ * can be serialized as JSON and restored via `importKeystore()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ * @param {object} options.wrappingKey - The wrapping key, with `{id,
+ *   secretKeyMultibase}` where `secretKeyMultibase` is the base64url
+ *   multibase encoded multikey of an AES-256 secret key.
+ *
+ * @returns {Promise<object>} The archive, with `{type, version, keystoreId,
+ *   wrappingKeyId, created, header, records}`.
+ */
+export async function exportKeystore({keystoreId, wrappingKey} = {}) {
+  return DEFAULT_SSM.exportKeystore({keystoreId, wrappingKey});
+}
+
+/**
+ * Imports a keystore archive created via `exportKeystore()`. Every key
+ * record is decrypted with the wrapping key and its secrets are re-encrypted
+ * under the current `keyRecordEncryption` key encryption key. No keys are
+ * imported if any key in the archive cannot be decrypted, if any key record
+ * was dropped, reordered, or duplicated, or if any key already exists.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.archive - The archive.
+ * @param {object} options.wrappingKey - The wrapping key the archive was
+ *   created with, with `{id, secretKeyMultibase}`.
+ *
+ * @returns {Promise<object>} An object with `{keystoreId, imported}`.
+ */
+export async function importKeystore({archive, wrappingKey} = {}) {
+  return DEFAULT_SSM.importKeystore({archive, wrappingKey});
+}
+
+/**
+ * Gets the current statistics for the default SSM instance's key record
+ * cache: the number of cache hits, misses, evictions (due to the cache being
+ * full), and expirations (due to `ttl`) since startup and the current and
+ * max number of cached key records.
+ *
+ * @returns {object} An object with `{hits, misses, evictions, expirations,
+ *   size, max}`.
+ */
+export function getCacheStats() {
+  return DEFAULT_SSM.getCacheStats();
+}
+
+/**
+ * Clears the default SSM instance's key record cache, e.g., to force
+ * changed key records to be read from the database.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.keyId] - The ID of the key to evict from the
+ *   cache; if not given, the whole cache is cleared.
+ *
+ * @returns {object} An object with `{cleared}`, the number of cached key
+ *   records that were evicted.
+ */
+export function clearCache({keyId} = {}) {
+  return DEFAULT_SSM.clearCache({keyId});
+}
+
+/**
+ * Runs the self-test for the default SSM instance. Each supported key type
+ * is checked via known-answer tests and a random sample of existing
+ * encrypted key records is decrypted to confirm that the configured key
+ * encryption keys can decrypt them. The self-test also runs at startup
+ * unless `selfTest.enabled` is `false`.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.sampleSize] - The number of key records to
+ *   sample; defaults to `selfTest.sampleSize` from the config.
+ *
+ * @returns {Promise<object>} An object with `{keyTypes, keyRecords}`, the
+ *   key types checked and the number of key records checked; rejects with
+ *   an `OperationError` describing the first failed check.
+ */
+export async function runSelfTest({sampleSize} = {}) {
+  return DEFAULT_SSM.runSelfTest({sampleSize});
+}
+
 // exported for testing purposes only
 export async function _createKeyRecordCipher() {
-  const {kek} = bedrock.config['ssm-mongodb'].keyRecordEncryption;
-  const options = {
-    currentKekId: kek === null ? null : kek.id,
-    keks: [],
-    encoding: 'json'
-  };
-  if(kek !== null) {
-    options.keks.push(kek);
-  }
-  KEY_RECORD_CIPHER = await RecordCipher.create(options);
-  const status = KEY_RECORD_CIPHER.isSecretsEncryptionEnabled() ?
-    'enabled' : 'disabled';
-  logger.info(`Key record encryption is ${status}.`);
-  if(KEY_STORAGE) {
-    // replace instance in key storage to enable testing different configs
-    KEY_STORAGE.recordCipher = KEY_RECORD_CIPHER;
-  }
-  return KEY_RECORD_CIPHER;
+  return DEFAULT_SSM.updateKeyRecordCipher();
+}
+export function _createCacheInvalidator({retryInterval} = {}) {
+  const {keyStorage} = DEFAULT_SSM;
+  return new CacheInvalidator({keyStorage, retryInterval});
 }
+export {KeyRecordCache as _KeyRecordCache} from './keyRecordCache.js';
+export {SsmCore as _SsmCore} from './core.js';
+export {_runKnownAnswerTests} from './selfTest.js';
@@ -0,0 +1,19 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getSsm} from './ssm.js';
+
+// this module is loaded once per SSM instance as
+// `@bedrock/ssm-mongodb/lib/instance.js?alias=<alias>`; the alias is given
+// in its URL
+const alias = new URL(import.meta.url).searchParams.get('alias');
+
+/**
+ * Returns the KMS module API for the SSM instance this module was loaded
+ * for.
+ *
+ * @returns {Promise<object>} The KMS module API.
+ */
+export async function getKmsModuleApi() {
+  return getSsm({alias}).kmsModuleApi;
+}
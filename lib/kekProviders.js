@@ -0,0 +1,147 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {logger} from './logger.js';
+import {readFile} from 'node:fs/promises';
+
+const {util: {BedrockError}} = bedrock;
+
+// multikey header for an AES-256 secret key (`aes-256`, 0xa2)
+const AES_256_HEADER = Buffer.from([0xa2, 0x01]);
+const AES_256_SIZE = 32;
+
+// built-in KEK providers by type; each loads a KEK's `secretKeyMultibase`
+const PROVIDERS = new Map([
+  ['file', _loadFromFile],
+  ['env', _loadFromEnv],
+  ['function', _loadFromFunction]
+]);
+
+/**
+ * Loads the secret for a key encryption key (KEK) config. A KEK config has
+ * an `id` and either its `secretKeyMultibase` inline or a `provider` to load
+ * it from:
+ *
+ * - `{type: 'file', path}`: read from a file.
+ * - `{type: 'env', name}`: read from an environment variable.
+ * - `{type: 'function', load}`: returned (or resolved) by calling
+ *   `load({id})`.
+ *
+ * Errors never include any (possibly misconfigured) secret.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.kek - The KEK config.
+ *
+ * @returns {Promise<object>} The KEK with `{id, secretKeyMultibase}`.
+ */
+export async function loadKek({kek} = {}) {
+  if(!(kek && typeof kek === 'object')) {
+    throw _configError('each key encryption key must be an object.');
+  }
+  const {id, secretKeyMultibase, provider} = kek;
+  if(!(id && typeof id === 'string')) {
+    throw _configError('key encryption key "id" must be a non-empty string.');
+  }
+  if((secretKeyMultibase === undefined) === (provider === undefined)) {
+    throw _configError(
+      `key encryption key "${id}" must have exactly one of ` +
+      '"secretKeyMultibase" or "provider".');
+  }
+  if(secretKeyMultibase !== undefined) {
+    _validateSecret({id, secretKeyMultibase, source: 'config'});
+    return {id, secretKeyMultibase};
+  }
+
+  const load = PROVIDERS.get(provider?.type);
+  if(!load) {
+    throw _configError(
+      `key encryption key "${id}" has an unsupported provider type ` +
+      `"${provider?.type}"; type must be one of: ` +
+      `${[...PROVIDERS.keys()].join(', ')}.`);
+  }
+  const {secretKeyMultibase: loaded, source} = await load({id, provider});
+  _validateSecret({id, secretKeyMultibase: loaded, source});
+  return {id, secretKeyMultibase: loaded};
+}
+
+async function _loadFromEnv({id, provider: {name}}) {
+  if(!(name && typeof name === 'string')) {
+    throw _configError(
+      `key encryption key "${id}" "env" provider "name" must be a ` +
+      'non-empty string.');
+  }
+  const source = `environment variable "${name}"`;
+  const value = process.env[name];
+  if(value === undefined || value === '') {
+    throw _configError(
+      `key encryption key "${id}" ${source} is not set.`);
+  }
+  return {secretKeyMultibase: value.trim(), source};
+}
+
+async function _loadFromFile({id, provider: {path}}) {
+  if(!(path && typeof path === 'string')) {
+    throw _configError(
+      `key encryption key "${id}" "file" provider "path" must be a ` +
+      'non-empty string.');
+  }
+  const source = `file "${path}"`;
+  let value;
+  try {
+    value = await readFile(path, 'utf8');
+  } catch(e) {
+    // only report the error code; never any file contents
+    throw _configError(
+      `key encryption key "${id}" could not be read from ${source} ` +
+      `(${e.code}).`);
+  }
+  return {secretKeyMultibase: value.trim(), source};
+}
+
+async function _loadFromFunction({id, provider: {load}}) {
+  if(typeof load !== 'function') {
+    throw _configError(
+      `key encryption key "${id}" "function" provider "load" must be a ` +
+      'function.');
+  }
+  const source = '"function" provider';
+  let value;
+  try {
+    value = await load({id});
+  } catch(error) {
+    // the loader's error may reveal details of the secret store, so it is
+    // logged rather than made public
+    logger.error(
+      'Key encryption key could not be loaded from "function" provider.',
+      {kekId: id, error});
+    throw _configError(
+      `key encryption key "${id}" could not be loaded from ${source}.`);
+  }
+  return {secretKeyMultibase: value, source};
+}
+
+function _configError(message) {
+  return new BedrockError(
+    `Invalid key record encryption configuration; ${message}`, {
+      name: 'DataError',
+      details: {public: true, httpStatusCode: 400}
+    });
+}
+
+function _validateSecret({id, secretKeyMultibase, source}) {
+  // intentionally do not report any part of the secret
+  if(!(typeof secretKeyMultibase === 'string' &&
+    secretKeyMultibase.startsWith('u'))) {
+    throw _configError(
+      `key encryption key "${id}" from ${source} must be a base64url ` +
+      'multibase ("u") encoded string.');
+  }
+  const multikey = Buffer.from(secretKeyMultibase.slice(1), 'base64url');
+  if(multikey.length !== AES_256_HEADER.length + AES_256_SIZE ||
+    !multikey.subarray(0, AES_256_HEADER.length).equals(AES_256_HEADER)) {
+    throw _configError(
+      `key encryption key "${id}" from ${source} must be an AES-256 ` +
+      'secret key multikey.');
+  }
+}
@@ -0,0 +1,95 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {LRUCache} from 'lru-cache';
+
+/**
+ * A key record cache for key storage that keeps statistics about its use.
+ * Like the caches created via `createKeyRecordCache()` from
+ * `@bedrock/kms-module-key-storage`, it memoizes the promises for key
+ * records by key ID.
+ */
+export class KeyRecordCache {
+  /**
+   * Creates a new key record cache.
+   *
+   * @param {object} [options={}] - Options for `lru-cache`.
+   * @param {number} [options.max=1000] - The max number of key records.
+   * @param {number} [options.ttl] - The time-to-live of a key record in ms.
+   */
+  constructor({max = 1000, ...options} = {}) {
+    this.stats = {hits: 0, misses: 0, evictions: 0, expirations: 0};
+    this.cache = new LRUCache({
+      max, ...options,
+      dispose: (value, key, reason) => {
+        if(reason === 'evict') {
+          this.stats.evictions++;
+        } else if(reason === 'expire') {
+          this.stats.expirations++;
+        }
+      }
+    });
+  }
+
+  /**
+   * Memoizes the promise for a key record.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.key - The key ID.
+   * @param {Function} options.fn - A function that returns a promise that
+   *   resolves to the key record.
+   *
+   * @returns {Promise<object>} The key record.
+   */
+  async memoize({key, fn} = {}) {
+    let promise = this.cache.get(key);
+    if(promise) {
+      this.stats.hits++;
+      return promise;
+    }
+    this.stats.misses++;
+    promise = fn();
+    this.cache.set(key, promise);
+    try {
+      return await promise;
+    } catch(e) {
+      // do not cache failures (provided the cache entry hasn't changed)
+      if(promise === this.cache.get(key)) {
+        this.cache.delete(key);
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Evicts a key record.
+   *
+   * @param {string} key - The key ID.
+   *
+   * @returns {boolean} `true` if the key record was cached.
+   */
+  delete(key) {
+    return this.cache.delete(key);
+  }
+
+  /**
+   * Evicts every key record.
+   *
+   * @returns {number} The number of key records that were evicted.
+   */
+  clear() {
+    const {size} = this.cache;
+    this.cache.clear();
+    return size;
+  }
+
+  /**
+   * Gets the current statistics for this cache.
+   *
+   * @returns {object} An object with `{hits, misses, evictions, expirations,
+   *   size, max}`.
+   */
+  getStats() {
+    return {...this.stats, size: this.cache.size, max: this.cache.max};
+  }
+}
@@ -0,0 +1,338 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {clearCache} from './storage.js';
+import {DataKeyRecordCipher} from './dataKeys.js';
+import {getKeyRecordPageQuery} from './helpers.js';
+import {loadKek} from './kekProviders.js';
+import {logger} from './logger.js';
+import {RecordCipher} from '@bedrock/record-cipher';
+
+const {util: {BedrockError}} = bedrock;
+
+// properties of a stored `key` that are never encrypted
+const NON_SECRET_PROPERTIES = new Set([
+  '@context', 'id', 'type', 'controller',
+  'publicKeyMultibase', 'maxCapabilityChainLength',
+  'publicAlias', 'publicAliasTemplate', 'notBefore', 'notAfter', 'policy'
+]);
+
+/**
+ * Creates a record cipher for encrypting and decrypting key record secrets
+ * from the given `keyRecordEncryption` config.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The `keyRecordEncryption` config.
+ * @param {object} options.dataKeyStorage - The storage for per-keystore data
+ *   keys, used if `config.keystoreDataKeys` is `true`.
+ *
+ * @returns {Promise<object>} The record cipher.
+ */
+export async function createKeyRecordCipher({config, dataKeyStorage} = {}) {
+  const {currentKekId, keks} = _getKekConfig(config);
+  const recordCipher = await RecordCipher.create({
+    currentKekId,
+    // load any KEK secrets from their providers
+    keks: await Promise.all(keks.map(kek => loadKek({kek}))),
+    encoding: 'json'
+  });
+  const status = recordCipher.isSecretsEncryptionEnabled() ?
+    'enabled' : 'disabled';
+  const keystoreDataKeys = config?.keystoreDataKeys === true;
+  logger.info(
+    `Key record encryption is ${status}.`, {currentKekId, keystoreDataKeys});
+  if(!keystoreDataKeys) {
+    return recordCipher;
+  }
+  if(!recordCipher.isSecretsEncryptionEnabled()) {
+    throw new BedrockError(
+      'Invalid key record encryption configuration; "keystoreDataKeys" ' +
+      'requires a current key encryption key.', {
+        name: 'DataError',
+        details: {public: true, httpStatusCode: 400}
+      });
+  }
+  return new DataKeyRecordCipher({recordCipher, dataKeyStorage});
+}
+
+/**
+ * Re-encrypts existing key records in the given key storage under the
+ * current key encryption key (KEK) of its record cipher. Key records that
+ * have no encrypted secrets or that have secrets encrypted under a previous
+ * KEK are updated; records already encrypted under the current KEK are
+ * skipped.
+ *
+ * If per-keystore data keys are enabled, any data keys that are not wrapped
+ * under the current KEK are rewrapped first and key records are
+ * re-encrypted under the current data key of their keystore instead.
+ *
+ * Records are processed in key ID order, one page at a time. The returned
+ * `after` value can be passed to a subsequent call to resume processing.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage to process.
+ * @param {string} [options.keystoreId] - The ID of a keystore to limit
+ *   processing to.
+ * @param {string} [options.after] - The key ID of the last key record that
+ *   was processed, to resume processing after it.
+ * @param {number} [options.batchSize=100] - The number of key records to
+ *   process per page.
+ * @param {Function} [options.onProgress] - A function to call with
+ *   `{after, processed, reencrypted}` after each page is processed.
+ * @param {AbortSignal} [options.signal] - A signal to abort processing after
+ *   the current page.
+ *
+ * @returns {Promise<object>} An object with `{after, processed, reencrypted,
+ *   done}`.
+ */
+export async function reencryptKeyRecords({
+  keyStorage, keystoreId, after, batchSize = 100, onProgress, signal
+} = {}) {
+  const {collection, recordCipher} = keyStorage;
+  if(!recordCipher.isSecretsEncryptionEnabled()) {
+    throw new BedrockError(
+      'Key records cannot be re-encrypted; key record encryption is not ' +
+      'enabled.', {
+        name: 'InvalidStateError',
+        details: {public: true, httpStatusCode: 400}
+      });
+  }
+  if(recordCipher instanceof DataKeyRecordCipher) {
+    await recordCipher.dataKeyStorage.rewrap(
+      {recordCipher: recordCipher.recordCipher});
+  }
+
+  const progress = {after, processed: 0, reencrypted: 0, done: false};
+  while(!signal?.aborted) {
+    let query = getKeyRecordPageQuery({after});
+    if(keystoreId !== undefined) {
+      query = {$and: [{keystoreId}, query]};
+    }
+    const records = await collection.find(query, {
+      projection: {_id: 1, keystoreId: 1, localId: 1, key: 1, meta: 1}
+    }).sort({keystoreId: 1, localId: 1}).limit(batchSize).toArray();
+
+    for(const record of records) {
+      const currentKekId = await _getCurrentKekId(
+        {recordCipher, keystoreId: record.keystoreId});
+      if(record.key.encrypted?.kekId !== currentKekId &&
+        await _reencryptRecord({keyStorage, record})) {
+        progress.reencrypted++;
+      }
+      progress.processed++;
+    }
+
+    if(records.length > 0) {
+      after = progress.after = records.at(-1).key.id;
+    }
+    if(records.length < batchSize) {
+      progress.done = true;
+    }
+
+    logger.debug('Key record re-encryption progress.', {...progress});
+    if(onProgress) {
+      await onProgress({...progress});
+    }
+    if(progress.done) {
+      break;
+    }
+  }
+
+  return progress;
+}
+
+/**
+ * Creates a new current data key for a keystore, re-encrypts the keystore's
+ * key records under it, and then removes the keystore's previous data keys
+ * that are no longer in use.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ *
+ * @returns {Promise<object>} An object with `{dataKeyId, processed,
+ *   reencrypted, removed}`.
+ */
+export async function rotateKeystoreDataKey({keyStorage, keystoreId} = {}) {
+  const {dataKeyStorage, recordCipher} = _getDataKeyRecordCipher(
+    {keyStorage});
+  const dataKeyId = await dataKeyStorage.rotate({keystoreId, recordCipher});
+  const {processed, reencrypted} = await reencryptKeyRecords(
+    {keyStorage, keystoreId});
+  // keep any previous data keys that key records are still encrypted under,
+  // e.g., due to concurrent key record updates
+  const keep = await keyStorage.collection.distinct(
+    'key.encrypted.kekId', {keystoreId});
+  const removed = await dataKeyStorage.prune({keystoreId, keep});
+  logger.info('Keystore data key rotated.', {
+    keystoreId, dataKeyId, processed, reencrypted, removed: removed.length
+  });
+  return {dataKeyId, processed, reencrypted, removed: removed.length};
+}
+
+/**
+ * Destroys all data keys for a keystore, crypto-shredding all of its key
+ * records that are encrypted under them.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ *
+ * @returns {Promise<object>} An object with `{destroyed}`.
+ */
+export async function destroyKeystoreDataKey({keyStorage, keystoreId} = {}) {
+  const {dataKeyStorage} = _getDataKeyRecordCipher({keyStorage});
+  const destroyed = await dataKeyStorage.destroy({keystoreId});
+  if(destroyed) {
+    // cached key records for the keystore cannot be found individually
+    clearCache({keyStorage});
+    logger.info('Keystore data key destroyed.', {keystoreId});
+  }
+  return {destroyed};
+}
+
+/**
+ * Encrypts the secrets in a `key` for a key record, if key record encryption
+ * is enabled.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.recordCipher - The record cipher to use.
+ * @param {string} options.keystoreId - The ID of the key's keystore.
+ * @param {object} options.key - The key with plaintext secrets.
+ *
+ * @returns {Promise<object>} The `key` for a key record.
+ */
+export async function encryptKeySecrets({recordCipher, keystoreId, key} = {}) {
+  if(!recordCipher.isSecretsEncryptionEnabled()) {
+    return key;
+  }
+
+  // separate key's non-secret / secret properties
+  const nonSecrets = {};
+  const secrets = {};
+  for(const prop in key) {
+    const target = NON_SECRET_PROPERTIES.has(prop) ? nonSecrets : secrets;
+    target[prop] = key[prop];
+  }
+
+  const {encryptedSecrets} = await recordCipher.encryptRecordSecrets({
+    record: {secrets}, keystoreId
+  });
+  return {...nonSecrets, encrypted: encryptedSecrets};
+}
+
+/**
+ * Decrypts the secrets, if encrypted, in the `key` from a key record.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.recordCipher - The record cipher to use.
+ * @param {object} options.key - The `key` from a key record.
+ *
+ * @returns {Promise<object>} The key with decrypted secrets.
+ */
+export async function decryptKeySecrets({recordCipher, key} = {}) {
+  if(key.encrypted === undefined) {
+    return key;
+  }
+  const {encrypted: encryptedSecrets, ...rest} = key;
+  const {secrets} = await recordCipher.decryptRecordSecrets({
+    record: {encryptedSecrets}
+  });
+  return {...rest, ...secrets};
+}
+
+function _getDataKeyRecordCipher({keyStorage}) {
+  const {recordCipher} = keyStorage;
+  if(!(recordCipher instanceof DataKeyRecordCipher)) {
+    throw new BedrockError(
+      'Per-keystore data keys are not enabled.', {
+        name: 'InvalidStateError',
+        details: {public: true, httpStatusCode: 400}
+      });
+  }
+  return recordCipher;
+}
+
+async function _getCurrentKekId({recordCipher, keystoreId}) {
+  if(recordCipher instanceof DataKeyRecordCipher) {
+    return recordCipher.getCurrentKekId({keystoreId});
+  }
+  return recordCipher.currentKekId;
+}
+
+async function _reencryptRecord({keyStorage, record}) {
+  const {collection, recordCipher} = keyStorage;
+  const key = await encryptKeySecrets({
+    recordCipher,
+    keystoreId: record.keystoreId,
+    key: await decryptKeySecrets({recordCipher, key: record.key})
+  });
+
+  // only update the record if it has not changed concurrently
+  const result = await collection.updateOne({
+    _id: record._id,
+    'meta.updated': record.meta.updated
+  }, {
+    $set: {key, 'meta.updated': Date.now()}
+  });
+  if(result.modifiedCount !== 1) {
+    return false;
+  }
+  keyStorage.cache?.delete(key.id);
+  return true;
+}
+
+function _getKekConfig({currentKekId = null, keks = [], kek = null} = {}) {
+  if(!Array.isArray(keks)) {
+    throw new BedrockError(
+      'Invalid key record encryption configuration; ' +
+      '"keks" must be an array.', {
+        name: 'DataError',
+        details: {public: true, httpStatusCode: 400}
+      });
+  }
+
+  if(![...keks, kek ?? {}].every(k => k && typeof k === 'object')) {
+    throw new BedrockError(
+      'Invalid key record encryption configuration; ' +
+      'each key encryption key must be an object.', {
+        name: 'DataError',
+        details: {public: true, httpStatusCode: 400}
+      });
+  }
+
+  // combine legacy single `kek` with `keks`
+  keks = [...keks];
+  if(kek !== null) {
+    if(!keks.some(({id}) => id === kek.id)) {
+      keks.push(kek);
+    }
+    if(currentKekId === null) {
+      currentKekId = kek.id;
+    }
+  }
+
+  const ids = new Set();
+  for(const {id} of keks) {
+    if(ids.has(id)) {
+      throw new BedrockError(
+        'Invalid key record encryption configuration; ' +
+        `duplicate key encryption key ID "${id}".`, {
+          name: 'DataError',
+          details: {public: true, httpStatusCode: 400}
+        });
+    }
+    ids.add(id);
+  }
+  if(currentKekId !== null && !ids.has(currentKekId)) {
+    throw new BedrockError(
+      'Invalid key record encryption configuration; ' +
+      `current key encryption key "${currentKekId}" not found in "keks".`, {
+        name: 'DataError',
+        details: {public: true, httpStatusCode: 400}
+      });
+  }
+
+  return {currentKekId, keks};
+}
@@ -0,0 +1,287 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {decryptKeySecrets, encryptKeySecrets} from './keyRecordEncryption.js';
+import {clearCache} from './storage.js';
+import crypto from 'node:crypto';
+import {logger} from './logger.js';
+import {RecordCipher} from '@bedrock/record-cipher';
+import {splitKeyId} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const ARCHIVE_TYPE = 'SsmKeystoreArchive';
+const ARCHIVE_VERSION = 1;
+
+// key record `meta` properties that are archived and restored; all others
+// (e.g., `updated`) are recomputed on import
+const ARCHIVED_META_PROPERTIES = [
+  'created', 'controller', 'parentKeyId', 'revoked', 'revokedBy'
+];
+
+// multikey header for an AES-256 secret key (`aes-256`, 0xa2)
+const AES_256_HEADER = Buffer.from([0xa2, 0x01]);
+const AES_256_SIZE = 32;
+
+/**
+ * Exports all key records in a keystore as a portable archive. Every key
+ * record is decrypted and then encrypted as a whole, including its non-secret
+ * key properties and its `meta`, under the given wrapping key (as a JWE), so
+ * that no part of it can be modified without detection. The archive's header,
+ * also encrypted under the wrapping key, binds the keystore ID, the number of
+ * key records, and a digest of their key IDs in order, so that no key record
+ * can be dropped, reordered, or duplicated without detection either.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ * @param {object} options.wrappingKey - The wrapping key, with `{id,
+ *   secretKeyMultibase}` where `secretKeyMultibase` is the base64url
+ *   multibase encoded multikey of an AES-256 secret key.
+ *
+ * @returns {Promise<object>} The archive, with `{type, version, keystoreId,
+ *   wrappingKeyId, created, header, records}`.
+ */
+export async function exportKeystore({
+  keyStorage, keystoreId, wrappingKey
+} = {}) {
+  if(!(keystoreId && typeof keystoreId === 'string')) {
+    throw _dataError('"keystoreId" must be a non-empty string.');
+  }
+  const archiveCipher = await _createArchiveCipher({wrappingKey});
+
+  const {collection, recordCipher} = keyStorage;
+  const cursor = collection.find(
+    {keystoreId}, {projection: {_id: 0, key: 1, meta: 1}}
+  ).sort({localId: 1});
+  const records = [];
+  const keyIds = [];
+  for await (const record of cursor) {
+    const key = await decryptKeySecrets({recordCipher, key: record.key});
+    const meta = _getArchivedMeta({meta: record.meta});
+    const {encryptedSecrets: encrypted} =
+      await archiveCipher.encryptRecordSecrets(
+        {record: {secrets: {key, meta}}});
+    records.push({encrypted});
+    keyIds.push(key.id);
+  }
+  const {encryptedSecrets: encrypted} =
+    await archiveCipher.encryptRecordSecrets({
+      record: {
+        secrets: {
+          keystoreId, count: records.length, keyIds: _digestKeyIds({keyIds})
+        }
+      }
+    });
+
+  logger.info('Keystore exported.', {
+    keystoreId, wrappingKeyId: wrappingKey.id, count: records.length
+  });
+  return {
+    type: ARCHIVE_TYPE,
+    version: ARCHIVE_VERSION,
+    keystoreId,
+    wrappingKeyId: wrappingKey.id,
+    created: new Date().toISOString(),
+    header: {encrypted},
+    records
+  };
+}
+
+/**
+ * Imports the key records from a keystore archive created by
+ * `exportKeystore()`. Every key record is decrypted with the given wrapping
+ * key and its secrets are then encrypted under the current key encryption
+ * key (if key record encryption is enabled). Only known `meta` properties are
+ * restored. No key records are imported if any cannot be decrypted, if the
+ * key records do not match the archive's header, or if any of the archive's
+ * keys already exist; if a key is created concurrently, any key records
+ * already inserted are removed again.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {object} options.archive - The archive.
+ * @param {object} options.wrappingKey - The wrapping key the archive was
+ *   created with, with `{id, secretKeyMultibase}`.
+ *
+ * @returns {Promise<object>} An object with `{keystoreId, imported}`.
+ */
+export async function importKeystore({keyStorage, archive, wrappingKey} = {}) {
+  _validateArchive({archive});
+  const archiveCipher = await _createArchiveCipher({wrappingKey});
+  const {keystoreId, wrappingKeyId} = archive;
+  if(wrappingKeyId !== wrappingKey.id) {
+    throw _dataError(
+      `Keystore archive was created with wrapping key "${wrappingKeyId}", ` +
+      `not "${wrappingKey.id}".`);
+  }
+
+  let header;
+  try {
+    ({secrets: header} = await archiveCipher.decryptRecordSecrets(
+      {record: {encryptedSecrets: archive.header.encrypted}}));
+  } catch(cause) {
+    throw new BedrockError(
+      'Keystore archive header could not be decrypted.', {
+        name: 'OperationError',
+        details: {httpStatusCode: 400, public: true},
+        cause
+      });
+  }
+  if(header?.keystoreId !== keystoreId ||
+    header.count !== archive.records.length) {
+    throw _recordsMismatchError();
+  }
+
+  // decrypt and re-encrypt every key record before inserting any
+  const {collection, recordCipher} = keyStorage;
+  const now = Date.now();
+  const records = [];
+  for(const [index, {encrypted}] of archive.records.entries()) {
+    let key;
+    let meta;
+    try {
+      ({secrets: {key, meta}} = await archiveCipher.decryptRecordSecrets(
+        {record: {encryptedSecrets: encrypted}}));
+    } catch(cause) {
+      throw new BedrockError(
+        `Key record ${index} in keystore archive could not be decrypted.`, {
+          name: 'OperationError',
+          details: {index, httpStatusCode: 400, public: true},
+          cause
+        });
+    }
+    const ids = typeof key?.id === 'string' ?
+      splitKeyId({id: key.id}) : undefined;
+    if(ids?.keystoreId !== keystoreId) {
+      throw _dataError(
+        `Key "${key?.id}" is not in archived keystore "${keystoreId}".`);
+    }
+    records.push({
+      ...ids,
+      meta: {created: now, ..._getArchivedMeta({meta}), updated: now},
+      key: await encryptKeySecrets({recordCipher, keystoreId, key})
+    });
+  }
+  // detects dropped, reordered, or duplicated key records
+  const keyIds = records.map(({key}) => key.id);
+  if(_digestKeyIds({keyIds}) !== header.keyIds) {
+    throw _recordsMismatchError();
+  }
+  if(records.length === 0) {
+    return {keystoreId, imported: 0};
+  }
+
+  const existing = await collection.findOne({
+    keystoreId, localId: {$in: records.map(({localId}) => localId)}
+  }, {projection: {_id: 0, 'key.id': 1}});
+  if(existing) {
+    throw _duplicateError({keyId: existing.key.id});
+  }
+  try {
+    await collection.insertMany(records);
+  } catch(e) {
+    // remove any key records already inserted; `insertMany()` sets the `_id`
+    // of every record, so concurrently created key records are not affected
+    await collection.deleteMany(
+      {_id: {$in: records.map(({_id}) => _id).filter(_id => _id)}});
+    for(const keyId of keyIds) {
+      clearCache({keyStorage, keyId});
+    }
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // a key was created concurrently
+    throw _duplicateError({cause: e});
+  }
+
+  logger.info('Keystore imported.', {
+    keystoreId, wrappingKeyId, count: records.length
+  });
+  return {keystoreId, imported: records.length};
+}
+
+async function _createArchiveCipher({wrappingKey}) {
+  const {id, secretKeyMultibase} = wrappingKey ?? {};
+  if(!(id && typeof id === 'string')) {
+    throw _dataError('"wrappingKey.id" must be a non-empty string.');
+  }
+  // intentionally do not report any part of the secret
+  const multikey = typeof secretKeyMultibase === 'string' &&
+    secretKeyMultibase.startsWith('u') ?
+    Buffer.from(secretKeyMultibase.slice(1), 'base64url') : Buffer.alloc(0);
+  if(multikey.length !== AES_256_HEADER.length + AES_256_SIZE ||
+    !multikey.subarray(0, AES_256_HEADER.length).equals(AES_256_HEADER)) {
+    throw _dataError(
+      '"wrappingKey.secretKeyMultibase" must be a base64url multibase ' +
+      '("u") encoded AES-256 secret key multikey.');
+  }
+  return RecordCipher.create({
+    currentKekId: id, keks: [{id, secretKeyMultibase}], encoding: 'json'
+  });
+}
+
+function _digestKeyIds({keyIds}) {
+  return crypto.createHash('sha256').update(JSON.stringify(keyIds))
+    .digest('base64url');
+}
+
+function _getArchivedMeta({meta}) {
+  const archived = {};
+  for(const name of ARCHIVED_META_PROPERTIES) {
+    if(meta?.[name] !== undefined) {
+      archived[name] = meta[name];
+    }
+  }
+  return archived;
+}
+
+function _dataError(message) {
+  return new BedrockError(message, {
+    name: 'DataError',
+    details: {public: true, httpStatusCode: 400}
+  });
+}
+
+function _duplicateError({keyId, cause} = {}) {
+  return new BedrockError(
+    'Keystore archive contains a key that already exists.', {
+      name: 'DuplicateError',
+      details: {keyId, public: true, httpStatusCode: 409},
+      cause
+    });
+}
+
+function _recordsMismatchError() {
+  return new BedrockError(
+    'Keystore archive key records do not match its header.', {
+      name: 'OperationError',
+      details: {httpStatusCode: 400, public: true}
+    });
+}
+
+function _validateArchive({archive}) {
+  if(!(archive && typeof archive === 'object' &&
+    archive.type === ARCHIVE_TYPE)) {
+    throw _dataError(`"archive" must be an "${ARCHIVE_TYPE}".`);
+  }
+  if(archive.version !== ARCHIVE_VERSION) {
+    throw _dataError(
+      `Unsupported keystore archive version "${archive.version}".`);
+  }
+  if(!(archive.keystoreId && typeof archive.keystoreId === 'string')) {
+    throw _dataError('"archive.keystoreId" must be a non-empty string.');
+  }
+  if(!(archive.header?.encrypted &&
+    typeof archive.header.encrypted === 'object')) {
+    throw _dataError('"archive.header" must be an encrypted archive header.');
+  }
+  if(!(Array.isArray(archive.records) && archive.records.every(
+    r => r && typeof r === 'object' && r.encrypted &&
+      typeof r.encrypted === 'object'))) {
+    throw _dataError(
+      '"archive.records" must be an array of encrypted key records.');
+  }
+}
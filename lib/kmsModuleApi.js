@@ -0,0 +1,841 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {getKeyRecordPageQuery, splitKeyId} from './helpers.js';
+import crypto from 'node:crypto';
+import {decryptKeySecrets} from './keyRecordEncryption.js';
+import {importKey as importKeyMaterial} from './importKey.js';
+import {insertKey} from './storage.js';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// KMS operations that use a key's secret material
+const KEY_OPERATIONS = [
+  'sign', 'verify', 'wrapKey', 'unwrapKey', 'deriveSecret', 'encapsulate',
+  'decapsulate', 'encrypt', 'decrypt'
+];
+
+// KMS operations that are allowed outside of a key's validity period
+const VALIDITY_EXEMPT_OPERATIONS = new Set(['verify']);
+
+// KMS operations that a key's usage policy can allow
+const POLICY_OPERATIONS = new Set([...KEY_OPERATIONS, 'deriveKey']);
+// KMS operations that a key's usage policy `verifyData` rules apply to
+const VERIFY_DATA_OPERATIONS = new Set(['sign', 'verify']);
+
+const MAX_SIGN_BATCH_SIZE = 1000;
+
+// HMAC key types that keys can be derived from and their HKDF hashes; keys
+// derived from key agreement secrets use SHA-256
+const HMAC_KEY_HASHES = new Map([
+  ['Sha256HmacKey2019', 'sha256'],
+  ['Sha384HmacKey2019', 'sha384'],
+  ['Sha512HmacKey2019', 'sha512']
+]);
+
+// secret key types that derived keys can be stored as
+const DERIVED_KEY_TYPES = new Set([
+  'AesKeyWrappingKey2019', 'Aes256GcmKey2026', ...HMAC_KEY_HASHES.keys()
+]);
+
+// sizes, in bytes, of derived keys that are returned wrapped
+const DEFAULT_WRAPPED_KEY_SIZE = 32;
+const MIN_WRAPPED_KEY_SIZE = 16;
+const MAX_WRAPPED_KEY_SIZE = 64;
+
+const DEFAULT_LIST_LIMIT = 10;
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Creates a KMS module API that extends the given base KMS module API with
+ * additional key management functions and key usage checks.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.api - The base KMS module API.
+ * @param {object} options.core - The security module core used by `api`.
+ * @param {object} options.keyStorage - The key storage used by `api`.
+ * @param {object} options.auditLog - The audit log for KMS operations.
+ * @param {object} options.rateLimiter - The rate limiter for KMS operations.
+ * @param {Function} options.getConfig - A function that returns the current
+ *   config to use, including `auditLog` and `rateLimit` options.
+ *
+ * @returns {object} The KMS module API.
+ */
+export function createKmsModuleApi({
+  api, core, keyStorage, auditLog, rateLimiter, getConfig
+} = {}) {
+  const kmsModuleApi = {
+    ...api,
+    generateKey: options => generateKey({...options, core, keyStorage}),
+    deriveKey: async options => {
+      const cfg = getConfig();
+      const fn = () => deriveKey(
+        {...options, core, keyStorage, rateLimiter, limits: cfg.rateLimit});
+      if(!cfg.auditLog.enabled) {
+        return fn();
+      }
+      const {keyId, zcapInvocation} = options;
+      const {retentionMs} = cfg.auditLog;
+      return auditLog.audit(
+        {keyId, operation: 'deriveKey', zcapInvocation, retentionMs, fn});
+    },
+    getKeyDescription: options => getKeyDescription(
+      {...options, core, keyStorage}),
+    getAuditLog: options => auditLog.find(options),
+    getKeystoreStats: options => getKeystoreStats({...options, keyStorage}),
+    importKey: options => importKey({...options, core, keyStorage}),
+    listKeys: options => listKeys({...options, core, keyStorage}),
+    revokeKey: options => revokeKey({...options, keyStorage}),
+    deleteKey: options => deleteKey({...options, keyStorage}),
+    signBatch: async options => {
+      const cfg = getConfig();
+      const fn = () => signBatch(
+        {...options, core, keyStorage, rateLimiter, limits: cfg.rateLimit});
+      if(!cfg.auditLog.enabled) {
+        return fn();
+      }
+      const {keyId, zcapInvocation} = options;
+      const {retentionMs} = cfg.auditLog;
+      return auditLog.audit(
+        {keyId, operation: 'signBatch', zcapInvocation, retentionMs, fn});
+    }
+  };
+  for(const name of KEY_OPERATIONS) {
+    kmsModuleApi[name] = async options => {
+      const cfg = getConfig();
+      const fn = async () => {
+        await rateLimiter.consume({
+          keyId: options.keyId, limits: cfg.rateLimit
+        });
+        const record = await keyStorage.get({id: options.keyId});
+        _checkKeyRecord({record, operation: name});
+        if(VERIFY_DATA_OPERATIONS.has(name)) {
+          _checkVerifyDataPolicy(
+            {key: record.key, operation: options.operation});
+        }
+        if(api[name]) {
+          return api[name](options);
+        }
+        // KMS operation not supported by the base KMS module API
+        const {key} = record;
+        _checkZcapInvocationRules(
+          {key, zcapInvocation: options.zcapInvocation});
+        return core[name]({key, operation: options.operation});
+      };
+      if(!cfg.auditLog.enabled) {
+        return fn();
+      }
+      const {keyId, zcapInvocation} = options;
+      const {retentionMs} = cfg.auditLog;
+      return auditLog.audit(
+        {keyId, operation: name, zcapInvocation, retentionMs, fn});
+    };
+  }
+  return kmsModuleApi;
+}
+
+/**
+ * Generates a new key. In addition to the options supported by the base KMS
+ * module API, the operation's `invocationTarget` may include a validity
+ * period for the key via `notBefore` and/or `notAfter` and a usage
+ * `policy`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.core - The security module core.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.controller - The key controller.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} Key information `{keyId, keyDescription}`.
+ */
+export async function generateKey({
+  core, keyStorage, keyId, controller, operation
+} = {}) {
+  const extra = _getExtraKeyProperties({operation});
+
+  // generate key and store it w/any extra key properties
+  const {key} = await core.generateKey({keyId, controller, operation});
+  Object.assign(key, extra);
+  const keyDescription = await _getKeyDescription({core, key, controller});
+  await insertKey({keyStorage, key, controller});
+  return {keyId, keyDescription};
+}
+
+/**
+ * Derives a new secret key via HKDF from an HMAC key's secret or from a
+ * secret derived with a key agreement key and a peer public key. The
+ * derived key is either stored as a new (child) key of the type given in
+ * `operation.derivedKey`, in the same keystore, or returned wrapped under the
+ * `AesKeyWrappingKey2019` key identified by `operation.wrappingKeyId`, also
+ * in the same keystore.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.core - The security module core.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {object} options.rateLimiter - The rate limiter for KMS operations.
+ * @param {object} options.limits - The rate limits to apply.
+ * @param {string} options.keyId - The ID of the key to derive from.
+ * @param {string} options.controller - The key controller.
+ * @param {object} options.operation - The KMS operation with optional
+ *   `salt` and `info` (both base64url-encoded), `publicKey` (required for
+ *   key agreement keys), and exactly one of `derivedKey` (an invocation
+ *   target with the `id` and `type` of the key to store) or `wrappingKeyId`
+ *   with an optional `length` (in bytes, default 32).
+ * @param {object} [options.zcapInvocation] - The zcap invocation used to
+ *   run the KMS operation; if the KMS operation was invoked via zcap.
+ *
+ * @returns {Promise<object>} Either key information `{keyId,
+ *   keyDescription}` for a stored key or `{wrappedKey}`.
+ */
+export async function deriveKey({
+  core, keyStorage, rateLimiter, limits, keyId, controller, operation,
+  zcapInvocation
+} = {}) {
+  if(!(operation && typeof operation === 'object')) {
+    throw _dataError('"operation" must be an object.');
+  }
+  const {
+    salt = '', info = '', publicKey, derivedKey, wrappingKeyId,
+    length = DEFAULT_WRAPPED_KEY_SIZE
+  } = operation;
+  for(const [name, value] of Object.entries({salt, info})) {
+    if(typeof value !== 'string') {
+      throw _dataError(`"operation.${name}" must be a base64url string.`);
+    }
+  }
+  if(Buffer.from(info, 'base64url').length > 1024) {
+    throw _dataError('"operation.info" must be at most 1024 bytes.');
+  }
+  if(!!derivedKey === !!wrappingKeyId) {
+    throw _dataError(
+      'Exactly one of "operation.derivedKey" or "operation.wrappingKeyId" ' +
+      'must be given.');
+  }
+  const {keystoreId} = splitKeyId({id: keyId});
+
+  // validate the output before deriving
+  let extra;
+  if(derivedKey) {
+    const {id, type} = derivedKey;
+    if(!(typeof id === 'string' &&
+      splitKeyId({id}).keystoreId === keystoreId)) {
+      throw _dataError(
+        '"operation.derivedKey.id" must be a key ID in the same keystore.');
+    }
+    if(!DERIVED_KEY_TYPES.has(type)) {
+      throw _dataError(
+        `"operation.derivedKey.type" must be one of: ` +
+        `${[...DERIVED_KEY_TYPES].join(', ')}.`);
+    }
+    extra = _getExtraKeyProperties({operation: {invocationTarget: derivedKey}});
+  } else {
+    if(!(typeof wrappingKeyId === 'string' &&
+      splitKeyId({id: wrappingKeyId}).keystoreId === keystoreId)) {
+      throw _dataError(
+        '"operation.wrappingKeyId" must be a key ID in the same keystore.');
+    }
+    if(!(Number.isInteger(length) && length % 8 === 0 &&
+      length >= MIN_WRAPPED_KEY_SIZE && length <= MAX_WRAPPED_KEY_SIZE)) {
+      throw _dataError(
+        `"operation.length" must be a multiple of 8 from ` +
+        `${MIN_WRAPPED_KEY_SIZE} to ${MAX_WRAPPED_KEY_SIZE}.`);
+    }
+  }
+
+  // authorize the use of every key before deriving anything
+  await rateLimiter.consume({keyId, limits});
+  const record = await keyStorage.get({id: keyId});
+  _checkKeyRecord({record, operation: 'deriveKey'});
+  const {key} = record;
+  _checkZcapInvocationRules({key, zcapInvocation});
+  let wrappingKey;
+  if(wrappingKeyId) {
+    await rateLimiter.consume({keyId: wrappingKeyId, limits});
+    const wrappingRecord = await keyStorage.get({id: wrappingKeyId});
+    _checkKeyRecord({record: wrappingRecord, operation: 'wrapKey'});
+    ({key: wrappingKey} = wrappingRecord);
+    _checkZcapInvocationRules({key: wrappingKey, zcapInvocation});
+    if(wrappingKey.type !== 'AesKeyWrappingKey2019') {
+      throw _dataError(
+        '"operation.wrappingKeyId" must identify an "AesKeyWrappingKey2019" ' +
+        'key.');
+    }
+  }
+
+  // get input keying material
+  let hash = HMAC_KEY_HASHES.get(key.type);
+  let ikm;
+  if(hash) {
+    ikm = Buffer.from(key.secret, 'base64url');
+  } else {
+    if(!publicKey) {
+      throw _dataError(
+        '"operation.publicKey" is required to derive a key from a key ' +
+        'agreement key.');
+    }
+    hash = 'sha256';
+    const {secret} = await core.deriveSecret({key, operation: {publicKey}});
+    ikm = Buffer.from(secret, 'base64url');
+  }
+  const derive = size => Buffer.from(crypto.hkdfSync(
+    hash, ikm, Buffer.from(salt, 'base64url'), Buffer.from(info, 'base64url'),
+    size));
+
+  if(derivedKey) {
+    // generate a key of the given type to be overwritten with the derived
+    // secret, which has the same size as the generated secret
+    const {key: childKey} = await core.generateKey({
+      keyId: derivedKey.id, controller,
+      operation: {invocationTarget: derivedKey}
+    });
+    const size = Buffer.from(childKey.secret, 'base64url').length;
+    childKey.secret = derive(size).toString('base64url');
+    Object.assign(childKey, extra);
+    const keyDescription = await _getKeyDescription(
+      {core, key: childKey, controller});
+    await insertKey({
+      keyStorage, key: childKey, controller, meta: {parentKeyId: keyId}
+    });
+    logger.info('Key derived.', {keyId: childKey.id, parentKeyId: keyId});
+    return {keyId: childKey.id, keyDescription};
+  }
+
+  const unwrappedKey = derive(length).toString('base64url');
+  const {wrappedKey} = await core.wrapKey(
+    {key: wrappingKey, operation: {unwrappedKey}});
+  return {wrappedKey};
+}
+
+/**
+ * Gets the key description (no private key material) for the given key.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.core - The security module core.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keyId - The key ID.
+ * @param {string} options.controller - The key controller.
+ *
+ * @returns {Promise<object>} The key description.
+ */
+export async function getKeyDescription({
+  core, keyStorage, keyId, controller
+} = {}) {
+  const {key} = await keyStorage.get({id: keyId});
+  return _getKeyDescription({core, key, controller});
+}
+
+/**
+ * Gets statistics about the keys in a keystore. The statistics are computed
+ * by the database without loading any key records.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ *
+ * @returns {Promise<object>} The keystore statistics with `count`,
+ *   `byType`, `byController`, `encrypted`, `plaintext`, `oldestCreated`, and
+ *   `newestCreated`.
+ */
+export async function getKeystoreStats({keyStorage, keystoreId} = {}) {
+  if(typeof keystoreId !== 'string') {
+    throw _dataError('"keystoreId" must be a string.');
+  }
+
+  // count keys by type and controller, from most to least common
+  const groupBy = field => [
+    {$group: {_id: field, count: {$sum: 1}}},
+    {$sort: {count: -1, _id: 1}}
+  ];
+  const [stats] = await keyStorage.collection.aggregate([
+    {$match: {keystoreId}},
+    {
+      $facet: {
+        summary: [{
+          $group: {
+            _id: null,
+            count: {$sum: 1},
+            encrypted: {
+              $sum: {
+                $cond: [{$eq: [{$type: '$key.encrypted'}, 'object']}, 1, 0]
+              }
+            },
+            oldestCreated: {$min: '$meta.created'},
+            newestCreated: {$max: '$meta.created'}
+          }
+        }],
+        byType: groupBy('$key.type'),
+        // keys created prior to recording their controller have none
+        byController: groupBy({$ifNull: ['$meta.controller', null]})
+      }
+    }
+  ]).toArray();
+
+  const {
+    count = 0, encrypted = 0, oldestCreated = null, newestCreated = null
+  } = stats.summary[0] ?? {};
+  return {
+    count,
+    byType: stats.byType.map(({_id: type, count}) => ({type, count})),
+    byController: stats.byController.map(
+      ({_id: controller, count}) => ({controller, count})),
+    encrypted,
+    plaintext: count - encrypted,
+    oldestCreated,
+    newestCreated
+  };
+}
+
+/**
+ * Imports an externally generated key. The key is stored in the same way as
+ * a generated key, including the controller that created it, and has the
+ * same key description.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.core - The security module core.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.controller - The key controller.
+ * @param {object} options.operation - The KMS operation, including the
+ *   secret key material as `privateKeyJwk` or `secretKeyMultibase`.
+ *
+ * @returns {Promise<object>} Key information `{keyId, keyDescription}`.
+ */
+export async function importKey({
+  core, keyStorage, keyId, controller, operation
+} = {}) {
+  if(!(typeof keyId === 'string')) {
+    throw _dataError('"keyId" must be a string.');
+  }
+  if(!(typeof controller === 'string')) {
+    throw _dataError('"controller" must be a string.');
+  }
+  const {
+    invocationTarget: {
+      id, type, maxCapabilityChainLength, publicAlias, publicAliasTemplate
+    } = {}
+  } = operation ?? {};
+  if(id !== keyId) {
+    throw _dataError('"operation.invocationTarget.id" must match "keyId".');
+  }
+  if(!(typeof type === 'string')) {
+    throw _dataError('"operation.invocationTarget.type" must be a string.');
+  }
+  if(!(maxCapabilityChainLength === undefined ||
+    typeof maxCapabilityChainLength === 'number')) {
+    throw _dataError(
+      '"operation.invocationTarget.maxCapabilityChainLength" must be a ' +
+      'number.');
+  }
+  if(publicAlias && publicAliasTemplate) {
+    throw _dataError(
+      'Only one of "publicAlias" or "publicAliasTemplate" may be given.');
+  }
+
+  const extra = _getExtraKeyProperties({operation});
+  const {key} = await importKeyMaterial({keyId, type, operation});
+  Object.assign(key, extra);
+
+  // add any extra key restrictions and public alias or template
+  if(maxCapabilityChainLength !== undefined) {
+    key.maxCapabilityChainLength = maxCapabilityChainLength;
+  }
+  if(publicAlias) {
+    key.publicAlias = publicAlias;
+  } else if(publicAliasTemplate) {
+    key.publicAliasTemplate = publicAliasTemplate;
+  }
+
+  // get key description prior to storage to validate any alias template
+  const keyDescription = await _getKeyDescription({core, key, controller});
+  await insertKey({keyStorage, key, controller});
+  logger.info('Key imported.', {keyId, type, controller});
+
+  return {keyId, keyDescription};
+}
+
+/**
+ * Signs a batch of data with the same key. The key record is retrieved and
+ * its secrets decrypted only once for the whole batch. Each KMS operation in
+ * the batch is run independently; a failed operation does not fail the
+ * batch but results in an `error` for that operation instead.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.core - The security module core.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {object} options.rateLimiter - The rate limiter for KMS operations.
+ * @param {object} options.limits - The rate limits to apply.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {Array<object>} options.operations - The KMS `sign` operations.
+ * @param {object} [options.zcapInvocation] - The zcap invocation used to
+ *   run the KMS operations; if the KMS operations were invoked via zcap.
+ *
+ * @returns {Promise<object>} An object containing `{results}` with one
+ *   result per KMS operation, in order, that is either `{signatureValue}`
+ *   or `{error}`.
+ */
+export async function signBatch({
+  core, keyStorage, rateLimiter, limits, keyId, operations, zcapInvocation
+} = {}) {
+  if(!(Array.isArray(operations) && operations.length > 0 &&
+    operations.length <= MAX_SIGN_BATCH_SIZE)) {
+    throw _dataError(
+      `"operations" must be an array of 1 to ${MAX_SIGN_BATCH_SIZE} KMS ` +
+      'operations.');
+  }
+
+  // every operation in the batch counts against rate limits
+  await rateLimiter.consume({keyId, limits, count: operations.length});
+  const record = await keyStorage.get({id: keyId});
+  _checkKeyRecord({record, operation: 'sign'});
+  const {key} = record;
+  _checkZcapInvocationRules({key, zcapInvocation});
+
+  const results = [];
+  for(const operation of operations) {
+    try {
+      _checkVerifyDataPolicy({key, operation});
+      const {signatureValue} = await core.sign({key, operation});
+      results.push({signatureValue});
+    } catch(e) {
+      results.push({error: {name: e.name, message: e.message}});
+    }
+  }
+  return {results};
+}
+
+/**
+ * Lists the key descriptions (no private key material) for the keys in a
+ * keystore, ordered by key ID. Each key description uses the controller
+ * recorded for the key at its creation.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.core - The security module core.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keystoreId - The ID of the keystore.
+ * @param {string} [options.controller] - A key controller to filter by; only
+ *   keys created by this controller are listed.
+ * @param {string} [options.type] - A key type to filter by.
+ * @param {number} [options.limit=10] - The maximum number of key
+ *   descriptions to return, up to 100.
+ * @param {string} [options.after] - The `after` value from a previous call,
+ *   to get the next page of key descriptions.
+ *
+ * @returns {Promise<object>} An object with `{keyDescriptions, after}`, where
+ *   `after` is only set if there may be more key descriptions to get.
+ */
+export async function listKeys({
+  core, keyStorage, keystoreId, controller, type,
+  limit = DEFAULT_LIST_LIMIT, after
+} = {}) {
+  if(!(typeof keystoreId === 'string')) {
+    throw _dataError('"keystoreId" must be a string.');
+  }
+  if(!(controller === undefined || typeof controller === 'string')) {
+    throw _dataError('"controller" must be a string.');
+  }
+  if(!(Number.isInteger(limit) && limit > 0 && limit <= MAX_LIST_LIMIT)) {
+    throw _dataError(
+      `"limit" must be an integer from 1 to ${MAX_LIST_LIMIT}.`);
+  }
+  if(after !== undefined &&
+    !(typeof after === 'string' && after.startsWith(`${keystoreId}/`))) {
+    throw _dataError('"after" must be a key ID from the given keystore.');
+  }
+
+  const query = {keystoreId, ...getKeyRecordPageQuery({after})};
+  if(controller !== undefined) {
+    query['meta.controller'] = controller;
+  }
+  if(type !== undefined) {
+    query['key.type'] = type;
+  }
+  const {collection, recordCipher} = keyStorage;
+  const records = await collection.find(query, {
+    projection: {_id: 0, key: 1, 'meta.controller': 1}
+  }).sort({keystoreId: 1, localId: 1}).limit(limit).toArray();
+
+  const keyDescriptions = await Promise.all(records.map(async record => {
+    // decrypt secrets as some public key material may be encrypted
+    const key = await decryptKeySecrets({recordCipher, key: record.key});
+    return _getKeyDescription(
+      {core, key, controller: record.meta.controller});
+  }));
+
+  const result = {keyDescriptions};
+  if(records.length === limit) {
+    result.after = records.at(-1).key.id;
+  }
+  return result;
+}
+
+/**
+ * Revokes a key. A revoked key remains in storage, so its key description
+ * can still be retrieved, but it can no longer be used in any KMS operation.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keyId - The key ID.
+ * @param {string} options.controller - The key controller; must match the
+ *   controller recorded for the key at its creation.
+ *
+ * @returns {Promise<object>} An object with `{revoked: true}`.
+ */
+export async function revokeKey({keyStorage, keyId, controller} = {}) {
+  await _checkKeyController({keyStorage, keyId, controller});
+  const {keystoreId, localId} = splitKeyId({id: keyId});
+  const now = Date.now();
+  const result = await keyStorage.collection.updateOne({
+    keystoreId, localId
+  }, [{
+    $set: {
+      // preserve any previous revocation
+      'meta.revoked': {$ifNull: ['$meta.revoked', now]},
+      'meta.revokedBy': {$ifNull: ['$meta.revokedBy', controller]},
+      'meta.updated': now
+    }
+  }]);
+  if(result.matchedCount === 0) {
+    throw _keyNotFoundError({keyId});
+  }
+  _evictKeyRecord({keyStorage, keyId});
+  logger.info('Key revoked.', {keyId, controller});
+  return {revoked: true};
+}
+
+/**
+ * Deletes a key and all of its secret material from storage.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} options.keyId - The key ID.
+ * @param {string} options.controller - The key controller; must match the
+ *   controller recorded for the key at its creation.
+ *
+ * @returns {Promise<object>} An object with `{deleted: true}`.
+ */
+export async function deleteKey({keyStorage, keyId, controller} = {}) {
+  await _checkKeyController({keyStorage, keyId, controller});
+  const {keystoreId, localId} = splitKeyId({id: keyId});
+  const result = await keyStorage.collection.deleteOne({keystoreId, localId});
+  if(result.deletedCount === 0) {
+    throw _keyNotFoundError({keyId});
+  }
+  _evictKeyRecord({keyStorage, keyId});
+  logger.info('Key deleted.', {keyId, controller});
+  return {deleted: true};
+}
+
+async function _checkKeyController({keyStorage, keyId, controller}) {
+  if(!(typeof controller === 'string')) {
+    throw _dataError('"controller" must be a string.');
+  }
+  const {keystoreId, localId} = splitKeyId({id: keyId});
+  const record = await keyStorage.collection.findOne(
+    {keystoreId, localId}, {projection: {_id: 0, 'meta.controller': 1}});
+  if(!record) {
+    throw _keyNotFoundError({keyId});
+  }
+  // keys created prior to recording their controller have none and cannot
+  // be managed by any controller
+  if(record.meta.controller !== controller) {
+    throw new BedrockError(
+      'Controller is not authorized to manage this key.', {
+        name: 'NotAllowedError',
+        details: {key: keyId, httpStatusCode: 403, public: true}
+      });
+  }
+}
+
+function _checkKeyRecord({record, operation}) {
+  const {key, meta} = record;
+  if(meta?.revoked !== undefined) {
+    throw new BedrockError('Key has been revoked.', {
+      name: 'NotAllowedError',
+      details: {
+        key: key.id, revoked: meta.revoked,
+        httpStatusCode: 403, public: true
+      }
+    });
+  }
+
+  if(!VALIDITY_EXEMPT_OPERATIONS.has(operation)) {
+    const now = Date.now();
+    const {notBefore, notAfter} = key;
+    if(notBefore !== undefined && now < Date.parse(notBefore)) {
+      throw new BedrockError('Key is not yet valid.', {
+        name: 'NotAllowedError',
+        details: {key: key.id, notBefore, httpStatusCode: 403, public: true}
+      });
+    }
+    if(notAfter !== undefined && now > Date.parse(notAfter)) {
+      throw new BedrockError('Key has expired.', {
+        name: 'NotAllowedError',
+        details: {key: key.id, notAfter, httpStatusCode: 403, public: true}
+      });
+    }
+  }
+
+  if(key.policy && !key.policy.operations.includes(operation)) {
+    throw new BedrockError(
+      `Key usage policy does not allow the "${operation}" operation.`, {
+        name: 'NotAllowedError',
+        details: {key: key.id, operation, httpStatusCode: 403, public: true}
+      });
+  }
+}
+
+function _checkVerifyDataPolicy({key, operation}) {
+  const rules = key.policy?.verifyData;
+  if(!rules) {
+    return;
+  }
+  // operations w/o `verifyData` (e.g., BBS multi-message signing) are not
+  // allowed as their data cannot be checked
+  const {verifyData} = operation ?? {};
+  const data = typeof verifyData === 'string' ?
+    Buffer.from(verifyData, 'base64url') : undefined;
+  const {maxSize, prefixes} = rules;
+  if(!data ||
+    (maxSize !== undefined && data.length > maxSize) ||
+    (prefixes && !prefixes.some(prefix => {
+      // an empty prefix (only possible for keys stored before prefixes were
+      // validated) matches nothing rather than everything
+      prefix = Buffer.from(prefix, 'base64url');
+      return prefix.length > 0 &&
+        data.subarray(0, prefix.length).equals(prefix);
+    }))) {
+    throw new BedrockError(
+      'Key usage policy does not allow the given "verifyData".', {
+        name: 'NotAllowedError',
+        details: {key: key.id, httpStatusCode: 403, public: true}
+      });
+  }
+}
+
+function _dataError(message) {
+  return new BedrockError(message, {
+    name: 'DataError',
+    details: {httpStatusCode: 400, public: true}
+  });
+}
+
+function _checkZcapInvocationRules({key, zcapInvocation}) {
+  // operation not invoked via zcap or no extra zcap invocation restrictions
+  // on the key
+  if(!zcapInvocation || key.maxCapabilityChainLength === undefined) {
+    return;
+  }
+  if(zcapInvocation.dereferencedChain.length > key.maxCapabilityChainLength) {
+    throw new BedrockError(
+      'Maximum zcap invocation capability chain length ' +
+      `(${key.maxCapabilityChainLength}) exceeded.`, {
+        name: 'NotAllowedError',
+        details: {httpStatusCode: 403, public: true}
+      });
+  }
+}
+
+// gets extra properties to store in a key from an operation's invocation
+// target that the security module core does not handle
+function _getExtraKeyProperties({operation}) {
+  const {notBefore, notAfter, policy} = operation?.invocationTarget ?? {};
+  const extra = {};
+  for(const [name, value] of Object.entries({notBefore, notAfter})) {
+    if(value === undefined) {
+      continue;
+    }
+    if(!(typeof value === 'string' && !isNaN(Date.parse(value)))) {
+      throw _dataError(
+        `"operation.invocationTarget.${name}" must be a date-time string.`);
+    }
+    extra[name] = value;
+  }
+  if(notBefore !== undefined && notAfter !== undefined &&
+    Date.parse(notBefore) >= Date.parse(notAfter)) {
+    throw _dataError(
+      '"operation.invocationTarget.notBefore" must be before "notAfter".');
+  }
+  if(policy !== undefined) {
+    extra.policy = _validatePolicy({policy});
+  }
+  return extra;
+}
+
+async function _getKeyDescription({core, key, controller}) {
+  const keyDescription = await core.getKeyDescription({key, controller});
+  // include any validity period
+  if(key.notBefore !== undefined) {
+    keyDescription.notBefore = key.notBefore;
+  }
+  if(key.notAfter !== undefined) {
+    keyDescription.notAfter = key.notAfter;
+  }
+  // include any usage policy
+  if(key.policy !== undefined) {
+    keyDescription.policy = key.policy;
+  }
+  return keyDescription;
+}
+
+// validates a key usage policy, returning a copy w/only known properties
+function _validatePolicy({policy}) {
+  const name = 'operation.invocationTarget.policy';
+  if(!(policy && typeof policy === 'object')) {
+    throw _dataError(`"${name}" must be an object.`);
+  }
+  const {operations, verifyData} = policy;
+  if(!(Array.isArray(operations) && operations.length > 0 &&
+    operations.every(o => POLICY_OPERATIONS.has(o)))) {
+    throw _dataError(
+      `"${name}.operations" must be a non-empty array of KMS operations ` +
+      `from: ${[...POLICY_OPERATIONS].join(', ')}.`);
+  }
+  const result = {operations: [...new Set(operations)]};
+  if(verifyData === undefined) {
+    return result;
+  }
+  if(!(verifyData && typeof verifyData === 'object')) {
+    throw _dataError(`"${name}.verifyData" must be an object.`);
+  }
+  const {maxSize, prefixes} = verifyData;
+  if(maxSize === undefined && prefixes === undefined) {
+    throw _dataError(
+      `"${name}.verifyData" must have "maxSize" and/or "prefixes".`);
+  }
+  result.verifyData = {};
+  if(maxSize !== undefined) {
+    if(!(Number.isInteger(maxSize) && maxSize > 0)) {
+      throw _dataError(
+        `"${name}.verifyData.maxSize" must be a positive integer.`);
+    }
+    result.verifyData.maxSize = maxSize;
+  }
+  if(prefixes !== undefined) {
+    // every prefix must decode to at least one byte and be canonically
+    // encoded; e.g., `A` decodes to no bytes and would allow any data
+    const decoded = Array.isArray(prefixes) ? prefixes.map(
+      p => typeof p === 'string' ? Buffer.from(p, 'base64url') : null) : [];
+    if(!(decoded.length > 0 && decoded.every((d, i) =>
+      d?.length > 0 && d.toString('base64url') === prefixes[i]))) {
+      throw _dataError(
+        `"${name}.verifyData.prefixes" must be a non-empty array of ` +
+        'non-empty, canonically base64url-encoded strings.');
+    }
+    result.verifyData.prefixes = decoded.map(d => d.toString('base64url'));
+  }
+  return result;
+}
+
+function _evictKeyRecord({keyStorage, keyId}) {
+  keyStorage.cache?.delete(keyId);
+}
+
+function _keyNotFoundError({keyId}) {
+  return new BedrockError('Key not found.', {
+    name: 'NotFoundError',
+    details: {key: keyId, httpStatusCode: 404, public: true}
+  });
+}
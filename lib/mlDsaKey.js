@@ -0,0 +1,80 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58 from 'base58-universal';
+import * as mlDsa from '@noble/post-quantum/ml-dsa.js';
+import crypto from 'node:crypto';
+
+const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+
+// ML-DSA key types, their parameter sets, and multicodec `mldsa-*-pub`
+// headers as varints
+const SUPPORTED_KEY_TYPES = new Map([
+  ['urn:webkms:multikey:ML-DSA-44', {
+    algorithm: mlDsa.ml_dsa44, publicHeader: new Uint8Array([0x90, 0x24])
+  }],
+  ['urn:webkms:multikey:ML-DSA-65', {
+    algorithm: mlDsa.ml_dsa65, publicHeader: new Uint8Array([0x91, 0x24])
+  }],
+  ['urn:webkms:multikey:ML-DSA-87', {
+    algorithm: mlDsa.ml_dsa87, publicHeader: new Uint8Array([0x92, 0x24])
+  }]
+]);
+
+// size of the seed that the key pair is deterministically generated from
+const SEED_SIZE = 32;
+
+/**
+ * Generates a new ML-DSA key pair. Only the seed the key pair is generated
+ * from is stored as the key's secret; the (much larger) expanded secret key
+ * is regenerated from it when signing.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.type - The key type.
+ *
+ * @returns {Promise<object>} An object containing `{key}`.
+ */
+export async function generateKey({keyId, type} = {}) {
+  const {algorithm, publicHeader} = _getKeyType({type});
+  const seed = crypto.randomBytes(SEED_SIZE);
+  const {publicKey} = algorithm.keygen(seed);
+  const key = {
+    '@context': MULTIKEY_CONTEXT_V1_URL,
+    id: keyId,
+    type,
+    publicKeyMultibase:
+      'z' + base58.encode(Buffer.concat([publicHeader, publicKey])),
+    secret: seed.toString('base64url')
+  };
+  return {key};
+}
+
+/**
+ * Signs some data. A fresh random value is mixed into each signature
+ * ("hedged" signing), so signing the same data twice produces different
+ * signatures.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} An object containing `{signatureValue}`.
+ */
+export async function sign({key, operation}) {
+  const {algorithm} = _getKeyType({type: key.type});
+  const {secretKey} = algorithm.keygen(Buffer.from(key.secret, 'base64url'));
+  const signature = algorithm.sign(
+    Buffer.from(operation.verifyData, 'base64url'), secretKey);
+  return {signatureValue: Buffer.from(signature).toString('base64url')};
+}
+
+function _getKeyType({type}) {
+  const keyType = SUPPORTED_KEY_TYPES.get(type);
+  if(!keyType) {
+    throw new Error(`Unknown key type "${type}".`);
+  }
+  return keyType;
+}
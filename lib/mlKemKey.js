@@ -0,0 +1,108 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58 from 'base58-universal';
+import * as bedrock from '@bedrock/core';
+import * as mlKem from '@noble/post-quantum/ml-kem.js';
+import crypto from 'node:crypto';
+
+const {util: {BedrockError}} = bedrock;
+
+const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+
+// ML-KEM key types, their parameter sets, and multicodec `mlkem-*-pub`
+// headers as varints
+const SUPPORTED_KEY_TYPES = new Map([
+  ['urn:webkms:multikey:ML-KEM-768', {
+    algorithm: mlKem.ml_kem768, publicHeader: new Uint8Array([0x8c, 0x24])
+  }],
+  ['urn:webkms:multikey:ML-KEM-1024', {
+    algorithm: mlKem.ml_kem1024, publicHeader: new Uint8Array([0x8d, 0x24])
+  }]
+]);
+
+// size of the seed that the key pair is deterministically generated from
+const SEED_SIZE = 64;
+
+/**
+ * Generates a new ML-KEM key pair. Only the seed the key pair is generated
+ * from is stored as the key's secret.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.type - The key type.
+ *
+ * @returns {Promise<object>} An object containing `{key}`.
+ */
+export async function generateKey({keyId, type} = {}) {
+  const {algorithm, publicHeader} = _getKeyType({type});
+  const seed = crypto.randomBytes(SEED_SIZE);
+  const {publicKey} = algorithm.keygen(seed);
+  const key = {
+    '@context': MULTIKEY_CONTEXT_V1_URL,
+    id: keyId,
+    type,
+    publicKeyMultibase:
+      'z' + base58.encode(Buffer.concat([publicHeader, publicKey])),
+    secret: seed.toString('base64url')
+  };
+  return {key};
+}
+
+/**
+ * Encapsulates a new random shared secret to the key's public key.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ *
+ * @returns {Promise<object>} An object containing `{ciphertext, secret}`.
+ */
+export async function encapsulate({key}) {
+  const {algorithm} = _getKeyType({type: key.type});
+  const {publicKey} = algorithm.keygen(Buffer.from(key.secret, 'base64url'));
+  const {cipherText, sharedSecret} = algorithm.encapsulate(publicKey);
+  return {
+    ciphertext: Buffer.from(cipherText).toString('base64url'),
+    secret: Buffer.from(sharedSecret).toString('base64url')
+  };
+}
+
+/**
+ * Decapsulates a shared secret. Per ML-KEM, a ciphertext that was not
+ * produced for the key's public key yields an unrelated (pseudorandom)
+ * secret rather than an error.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} An object containing `{secret}`.
+ */
+export async function decapsulate({key, operation}) {
+  const {algorithm} = _getKeyType({type: key.type});
+  const {ciphertext} = operation;
+  const size = algorithm.lengths.cipherText;
+  if(typeof ciphertext !== 'string' ||
+    Buffer.from(ciphertext, 'base64url').length !== size) {
+    throw new BedrockError(
+      `"ciphertext" must be a base64url-encoded string of ${size} bytes.`, {
+        name: 'DataError',
+        details: {public: true, httpStatusCode: 400}
+      });
+  }
+  const {secretKey} = algorithm.keygen(Buffer.from(key.secret, 'base64url'));
+  const sharedSecret = algorithm.decapsulate(
+    Buffer.from(ciphertext, 'base64url'), secretKey);
+  return {secret: Buffer.from(sharedSecret).toString('base64url')};
+}
+
+function _getKeyType({type}) {
+  const keyType = SUPPORTED_KEY_TYPES.get(type);
+  if(!keyType) {
+    throw new Error(`Unknown key type "${type}".`);
+  }
+  return keyType;
+}
@@ -0,0 +1,122 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+
+const {util: {BedrockError}} = bedrock;
+
+export class RateLimiter {
+  constructor({collectionName} = {}) {
+    this.collectionName = collectionName;
+
+    this.collection = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Counts a KMS operation against the per-key and per-keystore rate limits
+   * for the current window. Counters are stored in the database so that the
+   * limits apply across all nodes in a cluster.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keyId - The ID of the key used.
+   * @param {object} options.limits - The rate limits to apply, with
+   *   `windowMs`, `maxOperationsPerKey`, and `maxOperationsPerKeystore`; a
+   *   missing or `null` max means no limit.
+   * @param {number} [options.count=1] - The number of operations to count,
+   *   e.g., the size of a batch.
+   *
+   * @returns {Promise<undefined>} Resolves once the operation is counted;
+   *   rejects with a `NotAllowedError` if a rate limit is exceeded.
+   */
+  async consume({keyId, limits, count = 1} = {}) {
+    const {windowMs, maxOperationsPerKey, maxOperationsPerKeystore} = limits;
+    const counters = [];
+    if(_isLimited(maxOperationsPerKey)) {
+      counters.push({scope: 'key', id: keyId, max: maxOperationsPerKey});
+    }
+    if(_isLimited(maxOperationsPerKeystore)) {
+      const keystoreId = keyId.substring(0, keyId.lastIndexOf('/'));
+      counters.push(
+        {scope: 'keystore', id: keystoreId, max: maxOperationsPerKeystore});
+    }
+    if(counters.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const windowEnd = windowStart + windowMs;
+    const counts = await Promise.all(counters.map(
+      ({scope, id}) => this._increment(
+        {scope, id, count, windowStart, windowEnd})));
+
+    for(const [i, {scope, id, max}] of counters.entries()) {
+      if(counts[i] > max) {
+        const retryAfter = Math.ceil((windowEnd - now) / 1000);
+        throw new BedrockError(
+          `Rate limit exceeded for ${scope} "${id}"; retry after ` +
+          `${new Date(windowEnd).toISOString()}.`, {
+            name: 'NotAllowedError',
+            details: {
+              [scope]: id, retryAfter,
+              httpStatusCode: 429, public: true
+            }
+          });
+      }
+    }
+  }
+
+  async _increment({scope, id, count, windowStart, windowEnd}) {
+    const query = {scope, id, windowStart: new Date(windowStart)};
+    const update = {
+      $inc: {count},
+      // expire counter once its window has ended
+      $setOnInsert: {expires: new Date(windowEnd)}
+    };
+    const options = {upsert: true, returnDocument: 'after'};
+    try {
+      const record = await this.collection.findOneAndUpdate(
+        query, update, options);
+      return record.count;
+    } catch(e) {
+      if(!database.isDuplicateError(e)) {
+        throw e;
+      }
+      // concurrent upsert inserted the counter; try again to update it
+      const record = await this.collection.findOneAndUpdate(
+        query, update, options);
+      return record.count;
+    }
+  }
+
+  static async create({collectionName} = {}) {
+    const rateLimiter = new RateLimiter({collectionName});
+
+    bedrock.events.on('bedrock-mongodb.ready', async () => {
+      await database.openCollections([rateLimiter.collectionName]);
+
+      await database.createIndexes([{
+        // cover counter updates
+        collection: rateLimiter.collectionName,
+        fields: {scope: 1, id: 1, windowStart: 1},
+        options: {unique: true}
+      }, {
+        // expire counters for past windows
+        collection: rateLimiter.collectionName,
+        fields: {expires: 1},
+        options: {unique: false, expireAfterSeconds: 0}
+      }]);
+
+      rateLimiter.collection = database.collections[collectionName];
+      rateLimiter.initialized = true;
+    });
+
+    return rateLimiter;
+  }
+}
+
+function _isLimited(max) {
+  return max !== undefined && max !== null;
+}
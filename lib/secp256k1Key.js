@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58 from 'base58-universal';
+import crypto from 'node:crypto';
+
+const MULTIKEY_CONTEXT_V1_URL = 'https://w3id.org/security/multikey/v1';
+
+const SUPPORTED_KEY_TYPES = new Set(['urn:webkms:multikey:secp256k1']);
+
+// multicodec secp256k1-pub header as varint
+const MULTICODEC_SECP256K1_PUB_HEADER = new Uint8Array([0xe7, 0x01]);
+// multicodec secp256k1-priv header as varint
+const MULTICODEC_SECP256K1_PRIV_HEADER = new Uint8Array([0x81, 0x26]);
+
+// curve order and half of it, for producing low-S signatures
+const CURVE_ORDER = BigInt(
+  '0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+const HALF_CURVE_ORDER = CURVE_ORDER >> 1n;
+
+/**
+ * Generates a new secp256k1 key pair.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {string} options.keyId - The key ID to use.
+ * @param {string} options.type - The key type.
+ *
+ * @returns {Promise<object>} An object containing `{key}`.
+ */
+export async function generateKey({keyId, type} = {}) {
+  if(!SUPPORTED_KEY_TYPES.has(type)) {
+    throw new Error(`Unknown key type "${type}".`);
+  }
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.generateKeys();
+  const key = {
+    '@context': MULTIKEY_CONTEXT_V1_URL,
+    id: keyId,
+    type,
+    publicKeyMultibase: _multibaseEncode(
+      MULTICODEC_SECP256K1_PUB_HEADER,
+      ecdh.getPublicKey(null, 'compressed')),
+    secretKeyMultibase: _multibaseEncode(
+      MULTICODEC_SECP256K1_PRIV_HEADER, _pad(ecdh.getPrivateKey()))
+  };
+  return {key};
+}
+
+/**
+ * Signs some data using ECDSA with SHA-256. The signature is the 64-byte
+ * concatenation of `r` and `s`, with `s` normalized to the lower half of
+ * the curve order, as commonly required for secp256k1 signatures.
+ *
+ * @ignore
+ * @param {object} options - The options to use.
+ * @param {object} options.key - The key to use.
+ * @param {object} options.operation - The KMS operation.
+ *
+ * @returns {Promise<object>} An object containing `{signatureValue}`.
+ */
+export async function sign({key, operation}) {
+  const signature = crypto.sign(
+    'sha256', Buffer.from(operation.verifyData, 'base64url'),
+    {key: _getPrivateKey({key}), dsaEncoding: 'ieee-p1363'});
+  const s = BigInt('0x' + signature.subarray(32).toString('hex'));
+  if(s > HALF_CURVE_ORDER) {
+    Buffer.from((CURVE_ORDER - s).toString(16).padStart(64, '0'), 'hex')
+      .copy(signature, 32);
+  }
+  return {signatureValue: signature.toString('base64url')};
+}
+
+function _getPrivateKey({key}) {
+  const d = base58.decode(key.secretKeyMultibase.slice(1)).subarray(
+    MULTICODEC_SECP256K1_PRIV_HEADER.length);
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.setPrivateKey(d);
+  // uncompressed public key is `0x04 | x | y`
+  const publicKey = ecdh.getPublicKey();
+  return crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'secp256k1',
+      d: _pad(Buffer.from(d)).toString('base64url'),
+      x: publicKey.subarray(1, 33).toString('base64url'),
+      y: publicKey.subarray(33).toString('base64url')
+    },
+    format: 'jwk'
+  });
+}
+
+// left-pads a private key scalar to 32 bytes; node drops its leading zeros
+function _pad(d) {
+  return Buffer.concat([Buffer.alloc(32 - d.length), d]);
+}
+
+function _multibaseEncode(header, key) {
+  return 'z' + base58.encode(Buffer.concat([header, key]));
+}
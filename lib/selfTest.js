@@ -0,0 +1,409 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58 from 'base58-universal';
+import * as bedrock from '@bedrock/core';
+import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import * as mlDsa from '@noble/post-quantum/ml-dsa.js';
+import * as mlKem from '@noble/post-quantum/ml-kem.js';
+import crypto from 'node:crypto';
+import {decryptKeySecrets} from './keyRecordEncryption.js';
+import {importKey} from './importKey.js';
+import {isDataKeyId} from './dataKeys.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// key ID used for self-test keys; these keys are never stored
+const SELF_TEST_KEY_ID = 'urn:ssm-mongodb:self-test';
+
+// multicodec public key headers as varints
+const MULTICODEC_PUB_HEADERS = new Map([
+  ['X25519', 'ec01'],
+  ['P-256', '8024'],
+  ['P-384', '8124'],
+  ['P-521', '8224']
+]);
+
+// secret keys (hex) for asymmetric known-answer tests
+const SECRET_KEYS = new Map([
+  // RFC 8032 section 7.1 test 2
+  ['Ed25519',
+    '4ccd089b28ff96da9db6c346ec114e0f5b8a319f35aba624da8cf6ed4fb8a6fb'],
+  // RFC 7748 section 6.1 (Alice)
+  ['X25519',
+    '77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a'],
+  // RFC 5903 section 8.1
+  ['P-256',
+    'c88f01f510d9ac3f70a292daa2316de544e9aab8afe84049c62a9c57862d1433'],
+  // RFC 5903 section 8.2
+  ['P-384',
+    '099f3c7034d4a2c699884d73a375a67f7624ef7c6b3c0f160647b67414dce655' +
+    'e35b538041e649ee3faef896783ab194'],
+  // RFC 6979 section A.2.7
+  ['P-521',
+    '00fad06daa62ba3b25d2fb40133da757205de67f5bb0018fee8c86e1b68c7e75' +
+    'caa896eb32f1f47c70855836a6d16fcc1466f6d8fbec67db89ec0c08b0e996b8' +
+    '3538'],
+  // arbitrary
+  ['secp256k1',
+    'c9afa9d845ba75166b5c215767b1d6934e50c3db36e89b127b8a622b120f6721']
+]);
+
+// expected HMACs (hex) for RFC 4231 section 4.3 (test case 2)
+const HMAC_VECTORS = new Map([
+  ['Sha256HmacKey2019',
+    '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'],
+  ['Sha384HmacKey2019',
+    'af45d2e376484031617f78d2b58a6b1b9c7ef464f5a01b47' +
+    'e42ec3736322445e8e2240ca5e69e2c78b3239ecfab21649'],
+  ['Sha512HmacKey2019',
+    '164b7a7bfcf819e2e395fbe73b56e0a387bd64222e831fd610270cd7ea250554' +
+    '9758bf75c05a994a6d034f65f8f0e6fdcaeab1a34d4a6b4b636e070a38bce737']
+]);
+
+// peer public keys (hex, compressed for ECDH) and expected shared secrets
+// (hex) for key agreement known-answer tests
+const KEY_AGREEMENT_VECTORS = new Map([
+  // RFC 7748 section 6.1 (Bob)
+  ['X25519', {
+    publicKey:
+      'de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f',
+    secret:
+      '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742'
+  }],
+  // RFC 5903 section 8.1
+  ['P-256', {
+    publicKey:
+      '03d12dfb5289c8d4f81208b70270398c342296970a0bccb74c736fc7554494bf63',
+    secret:
+      'd6840f6b42f6edafd13116e0e12565202fef8e9ece7dce03812464d04b9442de'
+  }],
+  // RFC 5903 section 8.2
+  ['P-384', {
+    publicKey:
+      '02e558dbef53eecde3d3fccfc1aea08a89a987475d12fd950d83cfa41732bc50' +
+      '9d0d1ac43a0336def96fda41d0774a3571',
+    secret:
+      '11187331c279962d93d604243fd592cb9d0a926f422e47187521287e7156c5c4' +
+      'd603135569b9e9d09cf5d4a270f59746'
+  }],
+  // computed independently via OpenSSL
+  ['P-521', {
+    publicKey:
+      '0200922efbf0becf783a55c6e986ba39db07cae64a0914a1140b643fb8e53763' +
+      '9de785137a4be01bb79cbe3238b5ae8aeea070b5b016f11d486aa370b80cfa3b' +
+      'b93d1b',
+    secret:
+      '013c73f0eea1620140d8e81cf3649f4f37d39504ca6d8997047d91dde63f0b84' +
+      '599794d4f8d97a4bd0a6c2251ac2cae8879b5d35f6ddd4de62f140c9ab9d0c36' +
+      'b430'
+  }]
+]);
+
+/**
+ * Runs the self-test for an SSM instance: every supported key type is
+ * checked via known-answer tests (or, for randomized signatures and BBS
+ * signatures, by verifying a fresh signature) and the encrypted key records
+ * in a random sample of existing key records are decrypted to confirm that
+ * the configured key encryption keys (KEKs) can decrypt them.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.core - The KMS module core.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {number} [options.sampleSize=10] - The number of key records to
+ *   sample.
+ *
+ * @returns {Promise<object>} An object with `{keyTypes, keyRecords}`, the
+ *   key types checked and the number of key records checked; rejects with
+ *   an `OperationError` describing the first failed check.
+ */
+export async function runSelfTest({core, keyStorage, sampleSize = 10} = {}) {
+  const keyTypes = await _runKnownAnswerTests({core});
+  const keyRecords = await _checkKeyRecords({keyStorage, sampleSize});
+  return {keyTypes, keyRecords};
+}
+
+// exported for testing purposes only
+export async function _runKnownAnswerTests({core}) {
+  const tests = await _getKnownAnswerTests();
+  for(const {type, operation, key, params, check} of tests) {
+    let passed = false;
+    let cause;
+    try {
+      const result = await core[operation]({key, operation: params});
+      passed = await check(result);
+    } catch(e) {
+      cause = e;
+    }
+    if(!passed) {
+      throw new BedrockError(
+        `Self-test failed; key type "${type}" operation "${operation}" ` +
+        (cause ? `failed: ${cause.message}` :
+          'did not produce the expected result.'), {
+          name: 'OperationError',
+          details: {keyType: type, operation},
+          cause
+        });
+    }
+  }
+  return [...new Set(tests.map(({type}) => type))];
+}
+
+async function _checkKeyRecords({keyStorage, sampleSize}) {
+  const {collection, recordCipher} = keyStorage;
+  // sample first: `$sample` as the first stage reads only the sampled
+  // records, whereas a preceding `$match` on the unindexed `key.encrypted`
+  // would scan the whole collection
+  const records = await collection.aggregate([
+    {$sample: {size: sampleSize}},
+    {$match: {'key.encrypted': {$exists: true}}},
+    {$project: {_id: 0, 'key.id': 1, 'key.encrypted': 1}}
+  ]).toArray();
+  let count = 0;
+  for(const {key} of records) {
+    const {kekId} = key.encrypted;
+    try {
+      await decryptKeySecrets({recordCipher, key});
+      count++;
+    } catch(e) {
+      // key records encrypted under a destroyed (crypto-shredded) keystore
+      // data key are expected to be undecryptable
+      if(e.name === 'NotFoundError' && isDataKeyId(kekId)) {
+        continue;
+      }
+      throw new BedrockError(
+        `Self-test failed; key record "${key.id}" could not be decrypted ` +
+        `with key encryption key "${kekId}": ${e.message}`, {
+          name: 'OperationError',
+          details: {keyId: key.id, kekId},
+          cause: e
+        });
+    }
+  }
+  return count;
+}
+
+async function _getKnownAnswerTests() {
+  const tests = [];
+  for(const [type, signature] of HMAC_VECTORS) {
+    tests.push({
+      type,
+      operation: 'sign',
+      key: {type, secret: _hexToBase64Url('4a656665')},
+      params: {
+        verifyData: Buffer.from('what do ya want for nothing?')
+          .toString('base64url')
+      },
+      check: ({signatureValue}) =>
+        signatureValue === _hexToBase64Url(signature)
+    });
+  }
+
+  tests.push({
+    // RFC 3394 section 4.6
+    type: 'AesKeyWrappingKey2019',
+    operation: 'wrapKey',
+    key: {
+      type: 'AesKeyWrappingKey2019',
+      secret: _hexToBase64Url(
+        '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f')
+    },
+    params: {
+      unwrappedKey: _hexToBase64Url(
+        '00112233445566778899aabbccddeeff000102030405060708090a0b0c0d0e0f')
+    },
+    check: ({wrappedKey}) => wrappedKey === _hexToBase64Url(
+      '28c9f404c4b810f4cbccb35cfb87f8263f5786e2d80ed326' +
+      'cbc7f0e71a99f43bfb988b9b7a02dd21')
+  }, {
+    // "The Galois/Counter Mode of Operation (GCM)" test case 16
+    type: 'Aes256GcmKey2026',
+    operation: 'decrypt',
+    key: {
+      type: 'Aes256GcmKey2026',
+      secret: _hexToBase64Url(
+        'feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308')
+    },
+    params: {
+      iv: _hexToBase64Url('cafebabefacedbaddecaf888'),
+      ciphertext: _hexToBase64Url(
+        '522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa' +
+        '8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662'),
+      tag: _hexToBase64Url('76fc6ece0f4e1768cddf8853bb2d551b'),
+      additionalData: _hexToBase64Url(
+        'feedfacedeadbeeffeedfacedeadbeefabaddad2')
+    },
+    check: ({plaintext}) => plaintext === _hexToBase64Url(
+      'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a72' +
+      '1c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39')
+  }, {
+    // RFC 8032 section 7.1 (test 2)
+    type: 'urn:webkms:multikey:Ed25519',
+    operation: 'sign',
+    key: await _importKey({type: 'urn:webkms:multikey:Ed25519'}),
+    params: {verifyData: _hexToBase64Url('72')},
+    check: ({signatureValue}) => signatureValue === _hexToBase64Url(
+      '92a009a9f0d4cab8720e820b5f642540a2b27b5416503f8fb3762223ebdb69da' +
+      '085ac1e43e15996e458f3613d0f11d8c387b2eaeb4302aeeb00d291612bb0c00')
+  });
+
+  // ECDSA signatures are randomized, so check that a fresh signature
+  // verifies under the known public key
+  for(const crv of ['P-256', 'P-384', 'P-521']) {
+    const type = `urn:webkms:multikey:${crv}`;
+    const key = await _importKey({type});
+    const data = Buffer.from('sample');
+    tests.push({
+      type, operation: 'sign', key,
+      params: {verifyData: data.toString('base64url')},
+      async check({signatureValue}) {
+        const {publicKeyMultibase} = key;
+        const keyPair = await EcdsaMultikey.from(
+          {type: 'Multikey', publicKeyMultibase});
+        return keyPair.verifier().verify(
+          {data, signature: Buffer.from(signatureValue, 'base64url')});
+      }
+    });
+  }
+
+  // secp256k1 is not supported by `EcdsaMultikey`, so verify via node crypto
+  {
+    const type = 'urn:webkms:multikey:secp256k1';
+    const secretKey = Buffer.from(SECRET_KEYS.get('secp256k1'), 'hex');
+    const ecdh = crypto.createECDH('secp256k1');
+    ecdh.setPrivateKey(secretKey);
+    // uncompressed public key is `0x04 | x | y`
+    const publicKey = ecdh.getPublicKey();
+    const data = Buffer.from('sample');
+    tests.push({
+      type, operation: 'sign',
+      key: {
+        type,
+        // multicodec secp256k1-priv header as varint is `0x8126`
+        secretKeyMultibase: 'z' + base58.encode(
+          Buffer.concat([Buffer.from('8126', 'hex'), secretKey]))
+      },
+      params: {verifyData: data.toString('base64url')},
+      check: ({signatureValue}) => crypto.verify('sha256', data, {
+        key: crypto.createPublicKey({
+          key: {
+            kty: 'EC',
+            crv: 'secp256k1',
+            x: publicKey.subarray(1, 33).toString('base64url'),
+            y: publicKey.subarray(33).toString('base64url')
+          },
+          format: 'jwk'
+        }),
+        dsaEncoding: 'ieee-p1363'
+      }, Buffer.from(signatureValue, 'base64url'))
+    });
+  }
+
+  // BBS signatures are checked by deriving a proof that discloses every
+  // message and verifying it under the public key generated from a fixed
+  // seed
+  {
+    const keyPair = await Bls12381Multikey.generateBbsKeyPair({
+      algorithm: Bls12381Multikey.ALGORITHMS.BBS_BLS12381_SHA256,
+      seed: new Uint8Array(32).fill(1)
+    });
+    const {publicKeyMultibase, secretKeyMultibase} = await keyPair.export(
+      {publicKey: true, secretKey: true, includeContext: false});
+    const header = Buffer.from('header');
+    const messages = [Buffer.from('sample'), Buffer.from('message')];
+    for(const type of [
+      'urn:webkms:multikey:BBS-BLS12-381-SHA-256',
+      'urn:webkms:multikey:BBS-BLS12-381-SHAKE-256',
+      'urn:webkms:multikey:Bls12381G2'
+    ]) {
+      tests.push({
+        type, operation: 'sign',
+        key: {type, publicKeyMultibase, secretKeyMultibase},
+        params: {
+          header: header.toString('base64url'),
+          messages: messages.map(m => m.toString('base64url'))
+        },
+        async check({signatureValue}) {
+          const presentationHeader = new Uint8Array();
+          const proof = await keyPair.deriveProof({
+            signature: Buffer.from(signatureValue, 'base64url'),
+            header, messages, presentationHeader,
+            disclosedMessageIndexes: messages.map((m, i) => i)
+          });
+          return keyPair.verifier().multiverify(
+            {proof, header, presentationHeader, messages});
+        }
+      });
+    }
+  }
+
+  // ML-DSA signatures are hedged, so check that a fresh signature verifies
+  // under the public key generated from a fixed seed
+  for(const level of ['44', '65', '87']) {
+    const type = `urn:webkms:multikey:ML-DSA-${level}`;
+    const algorithm = mlDsa[`ml_dsa${level}`];
+    const seed = Buffer.alloc(32, level);
+    const {publicKey} = algorithm.keygen(seed);
+    const data = Buffer.from('sample');
+    tests.push({
+      type, operation: 'sign',
+      key: {type, secret: seed.toString('base64url')},
+      params: {verifyData: data.toString('base64url')},
+      check: ({signatureValue}) => algorithm.verify(
+        Buffer.from(signatureValue, 'base64url'), data, publicKey)
+    });
+  }
+
+  // ML-KEM encapsulation is randomized, so check that a fresh encapsulation
+  // to the public key generated from a fixed seed decapsulates
+  for(const level of ['768', '1024']) {
+    const type = `urn:webkms:multikey:ML-KEM-${level}`;
+    const algorithm = mlKem[`ml_kem${level}`];
+    const seed = Buffer.alloc(64, level);
+    const {publicKey} = algorithm.keygen(seed);
+    const {cipherText, sharedSecret} = algorithm.encapsulate(publicKey);
+    tests.push({
+      type, operation: 'decapsulate',
+      key: {type, secret: seed.toString('base64url')},
+      params: {ciphertext: Buffer.from(cipherText).toString('base64url')},
+      check: ({secret}) =>
+        secret === Buffer.from(sharedSecret).toString('base64url')
+    });
+  }
+
+  for(const [crv, {publicKey, secret}] of KEY_AGREEMENT_VECTORS) {
+    const type = crv === 'X25519' ?
+      'urn:webkms:multikey:X25519' : `urn:webkms:multikey:ECDH-${crv}`;
+    tests.push({
+      type,
+      operation: 'deriveSecret',
+      key: await _importKey({type}),
+      params: {
+        publicKey: {
+          type: 'Multikey',
+          publicKeyMultibase: 'z' + base58.encode(Buffer.from(
+            MULTICODEC_PUB_HEADERS.get(crv) + publicKey, 'hex'))
+        }
+      },
+      check: result => result.secret === _hexToBase64Url(secret)
+    });
+  }
+
+  return tests;
+}
+
+function _hexToBase64Url(hex) {
+  return Buffer.from(hex, 'hex').toString('base64url');
+}
+
+async function _importKey({type}) {
+  const crv = type.slice(type.lastIndexOf(':') + 1).replace('ECDH-', '');
+  const kty = crv.startsWith('P-') ? 'EC' : 'OKP';
+  const d = _hexToBase64Url(SECRET_KEYS.get(crv));
+  const {key} = await importKey({
+    keyId: SELF_TEST_KEY_ID, type,
+    operation: {privateKeyJwk: {kty, crv, d}}
+  });
+  return key;
+}
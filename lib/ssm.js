@@ -0,0 +1,314 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brPackageManager from '@bedrock/package-manager';
+import {clearCache, createKeyStorage, getCacheStats} from './storage.js';
+import {
+  createKeyRecordCipher, destroyKeystoreDataKey, reencryptKeyRecords,
+  rotateKeystoreDataKey
+} from './keyRecordEncryption.js';
+import {exportKeystore, importKeystore} from './keystoreArchive.js';
+import {AuditLog} from './auditLog.js';
+import {CacheInvalidator} from './cacheInvalidator.js';
+import {createKmsModule} from '@bedrock/kms-module-core';
+import {createKmsModuleApi} from './kmsModuleApi.js';
+import {DataKeyStorage} from './dataKeys.js';
+import {logger} from './logger.js';
+import {RateLimiter} from './rateLimiter.js';
+import {runSelfTest} from './selfTest.js';
+import {SsmCore} from './core.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const PACKAGE_NAME = '@bedrock/ssm-mongodb';
+
+// all SSM instances by alias
+const INSTANCES = new Map();
+
+export class Ssm {
+  constructor({alias, collectionName, config = {}} = {}) {
+    this.alias = alias;
+    this.collectionName = collectionName;
+    // instance-specific config overrides
+    this.config = config;
+
+    this.core = null;
+    this.dataKeyStorage = null;
+    this.keyStorage = null;
+    this.kmsModuleApi = null;
+  }
+
+  /**
+   * Gets the config for this instance; any config not overridden for this
+   * instance is read from the `ssm-mongodb` bedrock config.
+   *
+   * @returns {object} The config.
+   */
+  getConfig() {
+    return {...bedrock.config['ssm-mongodb'], ...this.config};
+  }
+
+  /**
+   * Gets the current statistics for this instance's key record cache.
+   *
+   * @returns {object} An object with `{hits, misses, evictions, expirations,
+   *   size, max}`.
+   */
+  getCacheStats() {
+    return getCacheStats({keyStorage: this.keyStorage});
+  }
+
+  /**
+   * Clears this instance's key record cache.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} [options.keyId] - The ID of the key to evict from the
+   *   cache; if not given, the whole cache is cleared.
+   *
+   * @returns {object} An object with `{cleared}`, the number of cached key
+   *   records that were evicted.
+   */
+  clearCache({keyId} = {}) {
+    return clearCache({keyStorage: this.keyStorage, keyId});
+  }
+
+  /**
+   * Creates a new record cipher from this instance's current
+   * `keyRecordEncryption` config and uses it for all subsequently stored or
+   * retrieved key records.
+   *
+   * @returns {Promise<object>} The record cipher.
+   */
+  async updateKeyRecordCipher() {
+    const recordCipher = await createKeyRecordCipher({
+      config: this.getConfig().keyRecordEncryption,
+      dataKeyStorage: this.dataKeyStorage
+    });
+    if(this.keyStorage) {
+      this.keyStorage.recordCipher = recordCipher;
+    }
+    return recordCipher;
+  }
+
+  /**
+   * Re-encrypts this instance's existing key records under its current key
+   * encryption key (KEK).
+   *
+   * @param {object} options - The options to use; see
+   *   `reencryptKeyRecords()`.
+   *
+   * @returns {Promise<object>} An object with `{after, processed, reencrypted,
+   *   done}`.
+   */
+  async reencryptKeyRecords(options = {}) {
+    return reencryptKeyRecords({...options, keyStorage: this.keyStorage});
+  }
+
+  /**
+   * Rotates the data key of a keystore in this instance; requires
+   * per-keystore data keys to be enabled.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keystoreId - The ID of the keystore.
+   *
+   * @returns {Promise<object>} An object with `{dataKeyId, processed,
+   *   reencrypted, removed}`.
+   */
+  async rotateKeystoreDataKey({keystoreId} = {}) {
+    return rotateKeystoreDataKey({keyStorage: this.keyStorage, keystoreId});
+  }
+
+  /**
+   * Destroys the data keys of a keystore in this instance; requires
+   * per-keystore data keys to be enabled.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keystoreId - The ID of the keystore.
+   *
+   * @returns {Promise<object>} An object with `{destroyed}`.
+   */
+  async destroyKeystoreDataKey({keystoreId} = {}) {
+    return destroyKeystoreDataKey({keyStorage: this.keyStorage, keystoreId});
+  }
+
+  /**
+   * Exports a keystore in this instance as a portable archive with every
+   * key's secrets encrypted under the given wrapping key.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.keystoreId - The ID of the keystore.
+   * @param {object} options.wrappingKey - The wrapping key, with `{id,
+   *   secretKeyMultibase}`.
+   *
+   * @returns {Promise<object>} The archive.
+   */
+  async exportKeystore({keystoreId, wrappingKey} = {}) {
+    return exportKeystore(
+      {keyStorage: this.keyStorage, keystoreId, wrappingKey});
+  }
+
+  /**
+   * Imports a keystore archive into this instance, re-encrypting every key's
+   * secrets under this instance's current key encryption key.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} options.archive - The archive.
+   * @param {object} options.wrappingKey - The wrapping key the archive was
+   *   created with, with `{id, secretKeyMultibase}`.
+   *
+   * @returns {Promise<object>} An object with `{keystoreId, imported}`.
+   */
+  async importKeystore({archive, wrappingKey} = {}) {
+    return importKeystore({keyStorage: this.keyStorage, archive, wrappingKey});
+  }
+
+  /**
+   * Runs the self-test for this instance: checks each supported key type via
+   * known-answer tests and decrypts a random sample of this instance's
+   * existing encrypted key records.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} [options.sampleSize] - The number of key records to
+   *   sample; defaults to `selfTest.sampleSize` from the config.
+   *
+   * @returns {Promise<object>} An object with `{keyTypes, keyRecords}`, the
+   *   key types checked and the number of key records checked.
+   */
+  async runSelfTest({sampleSize = this.getConfig().selfTest.sampleSize} = {}) {
+    const {core, keyStorage} = this;
+    return runSelfTest({core, keyStorage, sampleSize});
+  }
+
+  /**
+   * Creates a new SSM instance with its own key record collection, cache,
+   * and record cipher and registers it with the package manager as a
+   * `webkms-module` under the given `alias`. This must be called no later
+   * than the `bedrock.init` event.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.alias - The package manager alias to use.
+   * @param {string} options.collectionName - The name of the key record
+   *   collection; audit log and rate limit collections are named using it
+   *   as a prefix.
+   * @param {object} [options.config={}] - Config overrides for this instance,
+   *   e.g., `keyRecordEncryption`; any other config is read from the
+   *   `ssm-mongodb` bedrock config.
+   * @param {string} [options.packageName] - The package name to register;
+   *   defaults to the package subpath for `alias`.
+   *
+   * @returns {Promise<Ssm>} The SSM instance.
+   */
+  static async create({alias, collectionName, config, packageName} = {}) {
+    if(!(alias && typeof alias === 'string')) {
+      throw new TypeError('"alias" must be a non-empty string.');
+    }
+    if(!(collectionName && typeof collectionName === 'string')) {
+      throw new TypeError('"collectionName" must be a non-empty string.');
+    }
+    if(INSTANCES.has(alias)) {
+      throw _duplicateAliasError({alias});
+    }
+    const ssm = new Ssm({alias, collectionName, config});
+    ssm.core = new SsmCore();
+    ssm.dataKeyStorage = await DataKeyStorage.create({
+      collectionName: `${collectionName}-data-key`,
+      cacheConfig: ssm.getConfig().keyRecordCache
+    });
+    const recordCipher = await ssm.updateKeyRecordCipher();
+    ssm.keyStorage = await createKeyStorage({
+      collectionName, recordCipher,
+      cacheConfig: ssm.getConfig().keyRecordCache
+    });
+    const auditLog = await AuditLog.create({
+      collectionName: `${collectionName}-audit`
+    });
+    const rateLimiter = await RateLimiter.create({
+      collectionName: `${collectionName}-rate-limit`
+    });
+    const {api} = await createKmsModule({
+      core: ssm.core, keyStorage: ssm.keyStorage
+    });
+    ssm.kmsModuleApi = createKmsModuleApi({
+      api, core: ssm.core, keyStorage: ssm.keyStorage,
+      auditLog, rateLimiter, getConfig: () => ssm.getConfig()
+    });
+
+    // only register the instance once it has been fully set up; another
+    // instance may have been created with the same alias in the meantime
+    if(INSTANCES.has(alias)) {
+      throw _duplicateAliasError({alias});
+    }
+    INSTANCES.set(alias, ssm);
+
+    const {keyRecordCacheInvalidation} = ssm.getConfig();
+    if(keyRecordCacheInvalidation.enabled) {
+      await CacheInvalidator.create({
+        keyStorage: ssm.keyStorage,
+        retryInterval: keyRecordCacheInvalidation.retryInterval
+      });
+    }
+
+    // refuse to start if any self-test check fails
+    if(ssm.getConfig().selfTest.enabled) {
+      bedrock.events.on('bedrock-mongodb.ready', async () => {
+        const result = await ssm.runSelfTest();
+        logger.info('Self-test passed.', {
+          alias, collection: collectionName, ...result
+        });
+      });
+    }
+
+    // periodically log key record cache statistics
+    const {logInterval} = ssm.getConfig().keyRecordCacheStats;
+    if(logInterval) {
+      let timer;
+      bedrock.events.on('bedrock.start', () => {
+        timer = setInterval(() => {
+          logger.info('Key record cache statistics.', {
+            alias, collection: collectionName, ...ssm.getCacheStats()
+          });
+        }, logInterval);
+        timer.unref();
+      });
+      bedrock.events.on('bedrock.stop', () => clearInterval(timer));
+    }
+
+    brPackageManager.register({
+      alias,
+      // each instance needs a distinct package name; `lib/instance.js` is
+      // loaded once per distinct alias given in its query
+      packageName: packageName ??
+        `${PACKAGE_NAME}/lib/instance.js?alias=${encodeURIComponent(alias)}`,
+      type: 'webkms-module'
+    });
+
+    return ssm;
+  }
+}
+
+/**
+ * Gets a previously created SSM instance.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.alias - The alias of the SSM instance.
+ *
+ * @returns {Ssm} The SSM instance.
+ */
+export function getSsm({alias} = {}) {
+  const ssm = INSTANCES.get(alias);
+  if(!ssm) {
+    throw new BedrockError(`SSM instance "${alias}" not found.`, {
+      name: 'NotFoundError',
+      details: {alias, httpStatusCode: 404, public: true}
+    });
+  }
+  return ssm;
+}
+
+function _duplicateAliasError({alias}) {
+  return new BedrockError(`Duplicate SSM instance alias "${alias}".`, {
+    name: 'DuplicateError',
+    details: {alias, httpStatusCode: 409, public: true}
+  });
+}
@@ -2,19 +2,102 @@
  * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import {
-  createKeyRecordCache, KeyStorage
-} from '@bedrock/kms-module-key-storage';
+import * as database from '@bedrock/mongodb';
+import {encryptKeySecrets} from './keyRecordEncryption.js';
+import {KeyRecordCache} from './keyRecordCache.js';
+import {KeyStorage} from '@bedrock/kms-module-key-storage';
+import {splitKeyId} from './helpers.js';
 
-let KEY_RECORD_CACHE;
+const {util: {BedrockError}} = bedrock;
 
-bedrock.events.on('bedrock.init', async () => {
-  const cfg = bedrock.config['ssm-mongodb'];
-  KEY_RECORD_CACHE = createKeyRecordCache(cfg.keyRecordCache);
-});
+export async function createKeyStorage({
+  collectionName, recordCipher, cacheConfig
+} = {}) {
+  // each key storage instance has its own key record cache
+  const cache = new KeyRecordCache(cacheConfig);
+  return KeyStorage.create({collectionName, recordCipher, cache});
+}
+
+/**
+ * Inserts a new key into key storage. The key's secrets are encrypted for
+ * its keystore (i.e., under the keystore's data key if per-keystore data keys
+ * are enabled) and the controller that created the key is recorded in the key
+ * record's `meta` in the same insert, so no key record is ever stored without
+ * it.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {object} options.key - The key.
+ * @param {string} [options.controller] - The controller creating the key.
+ * @param {object} [options.meta={}] - Any extra key record `meta`.
+ *
+ * @returns {Promise<object>} The key record.
+ */
+export async function insertKey({
+  keyStorage, key, controller, meta: extraMeta = {}
+} = {}) {
+  const {collection, recordCipher} = keyStorage;
+
+  // `controller` is not stored with a key as it is always updated to be the
+  // current keystore controller; record the controller that created the key
+  // in the key record's `meta` instead
+  key = {...key};
+  delete key.controller;
+  const now = Date.now();
+  const meta = {...extraMeta, created: now, updated: now};
+  if(typeof controller === 'string') {
+    meta.controller = controller;
+  }
+
+  const {keystoreId, localId} = splitKeyId({id: key.id});
+  const record = {
+    keystoreId, localId, meta,
+    key: await encryptKeySecrets({recordCipher, keystoreId, key})
+  };
+  try {
+    await collection.insertOne({...record});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    throw new BedrockError('Duplicate key identifier.', {
+      name: 'DuplicateError',
+      details: {public: true, httpStatusCode: 409},
+      cause: e
+    });
+  }
+  return record;
+}
 
-export async function createKeyStorage({collectionName, recordCipher} = {}) {
-  return KeyStorage.create({
-    collectionName, recordCipher, cache: KEY_RECORD_CACHE
-  });
+/**
+ * Gets the current statistics for the key record cache of a key storage
+ * instance.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ *
+ * @returns {object} An object with `{hits, misses, evictions, expirations,
+ *   size, max}`.
+ */
+export function getCacheStats({keyStorage} = {}) {
+  return keyStorage.cache.getStats();
+}
+
+/**
+ * Clears the key record cache of a key storage instance.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.keyStorage - The key storage.
+ * @param {string} [options.keyId] - The ID of the key to evict from the
+ *   cache; if not given, the whole cache is cleared.
+ *
+ * @returns {object} An object with `{cleared}`, the number of cached key
+ *   records that were evicted.
+ */
+export function clearCache({keyStorage, keyId} = {}) {
+  const {cache} = keyStorage;
+  if(keyId !== undefined) {
+    return {cleared: cache.delete(keyId) ? 1 : 0};
+  }
+  return {cleared: cache.clear()};
 }
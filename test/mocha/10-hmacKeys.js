@@ -5,8 +5,8 @@ import * as bedrock from '@bedrock/core';
 import * as brSSM from '@bedrock/ssm-mongodb';
 import {generateId} from 'bnid';
 
-// import is for testing purposes only; not a public export
-import {_createKeyRecordCipher} from '@bedrock/ssm-mongodb';
+// imports are for testing purposes only; not public exports
+import {_createKeyRecordCipher, _SsmCore} from '@bedrock/ssm-mongodb';
 
 /* eslint-disable */
 /*
@@ -30,6 +30,107 @@ const supportedKeys = [
   {
     type: 'Sha256HmacKey2019',
     expectedContext: 'https://w3id.org/security/suites/hmac-2019/v1'
+  },
+  // no context defines these key types
+  {type: 'Sha384HmacKey2019', expectedContext: null},
+  {type: 'Sha512HmacKey2019', expectedContext: null}
+];
+
+// RFC 4231 section 4 test cases (test case 5, a truncated HMAC, is omitted)
+const RFC_4231_VECTORS = [
+  {
+    testCase: 1,
+    key: '0b'.repeat(20),
+    data: Buffer.from('Hi There'),
+    hmacs: {
+      Sha256HmacKey2019:
+        'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7',
+      Sha384HmacKey2019:
+        'afd03944d84895626b0825f4ab46907f15f9dadbe4101ec682aa034c7cebc59c' +
+        'faea9ea9076ede7f4af152e8b2fa9cb6',
+      Sha512HmacKey2019:
+        '87aa7cdea5ef619d4ff0b4241a1d6cb02379f4e2ce4ec2787ad0b30545e17cde' +
+        'daa833b7d6b8a702038b274eaea3f4e4be9d914eeb61f1702e696c203a126854'
+    }
+  },
+  {
+    testCase: 2,
+    key: '4a656665',
+    data: Buffer.from('what do ya want for nothing?'),
+    hmacs: {
+      Sha256HmacKey2019:
+        '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843',
+      Sha384HmacKey2019:
+        'af45d2e376484031617f78d2b58a6b1b9c7ef464f5a01b47e42ec3736322445e' +
+        '8e2240ca5e69e2c78b3239ecfab21649',
+      Sha512HmacKey2019:
+        '164b7a7bfcf819e2e395fbe73b56e0a387bd64222e831fd610270cd7ea250554' +
+        '9758bf75c05a994a6d034f65f8f0e6fdcaeab1a34d4a6b4b636e070a38bce737'
+    }
+  },
+  {
+    testCase: 3,
+    key: 'aa'.repeat(20),
+    data: Buffer.alloc(50, 0xdd),
+    hmacs: {
+      Sha256HmacKey2019:
+        '773ea91e36800e46854db8ebd09181a72959098b3ef8c122d9635514ced565fe',
+      Sha384HmacKey2019:
+        '88062608d3e6ad8a0aa2ace014c8a86f0aa635d947ac9febe83ef4e55966144b' +
+        '2a5ab39dc13814b94e3ab6e101a34f27',
+      Sha512HmacKey2019:
+        'fa73b0089d56a284efb0f0756c890be9b1b5dbdd8ee81a3655f83e33b2279d39' +
+        'bf3e848279a722c806b485a47e67c807b946a337bee8942674278859e13292fb'
+    }
+  },
+  {
+    testCase: 4,
+    key: '0102030405060708090a0b0c0d0e0f10111213141516171819',
+    data: Buffer.alloc(50, 0xcd),
+    hmacs: {
+      Sha256HmacKey2019:
+        '82558a389a443c0ea4cc819899f2083a85f0faa3e578f8077a2e3ff46729665b',
+      Sha384HmacKey2019:
+        '3e8a69b7783c25851933ab6290af6ca77a9981480850009cc5577c6e1f573b4e' +
+        '6801dd23c4a7d679ccf8a386c674cffb',
+      Sha512HmacKey2019:
+        'b0ba465637458c6990e5a8c5f61d4af7e576d97ff94b872de76f8050361ee3db' +
+        'a91ca5c11aa25eb4d679275cc5788063a5f19741120c4f2de2adebeb10a298dd'
+    }
+  },
+  {
+    testCase: 6,
+    key: 'aa'.repeat(131),
+    data: Buffer.from(
+      'Test Using Larger Than Block-Size Key - Hash Key First'),
+    hmacs: {
+      Sha256HmacKey2019:
+        '60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54',
+      Sha384HmacKey2019:
+        '4ece084485813e9088d2c63a041bc5b44f9ef1012a2b588f3cd11f05033ac4c6' +
+        '0c2ef6ab4030fe8296248df163f44952',
+      Sha512HmacKey2019:
+        '80b24263c7c1a3ebb71493c1dd7be8b49b46d1f41b4aeec1121b013783f8f352' +
+        '6b56d037e05f2598bd0fd2215d6a1e5295e64f73f63f0aec8b915a985d786598'
+    }
+  },
+  {
+    testCase: 7,
+    key: 'aa'.repeat(131),
+    data: Buffer.from(
+      'This is a test using a larger than block-size key and a larger ' +
+      'than block-size data. The key needs to be hashed before being ' +
+      'used by the HMAC algorithm.'),
+    hmacs: {
+      Sha256HmacKey2019:
+        '9b09ffa71b942fcb27635fbcd5b0e944bfdc63644f0713938a7f51535c3a35e2',
+      Sha384HmacKey2019:
+        '6617178e941f020d351e2f254e8fd32c602420feb0b8fb9adccebb82461e99c5' +
+        'a678cc31e799176d3860e6110c46523e',
+      Sha512HmacKey2019:
+        'e37b6a775dc87dbaa4dfa9f96e5e3ffddebd71f8867289865df5a32d20cdc944' +
+        'b6022cac3c4982b10d5eeb55c3e4de15134676fb6de0446065c97440fa8c6a58'
+    }
   }
 ];
 
@@ -53,6 +154,10 @@ for(const encryptConfig of keyRecordEncryption) {
         // use multikey defaults
         expectedContext = 'https://w3id.org/security/multikey/v1'
       } = supportedKey;
+      const expectedKeys = ['id', 'type', 'controller'];
+      if(expectedContext) {
+        expectedKeys.push('@context');
+      }
       describe(type, () => {
         describe('generateKey API', () => {
           it('generates a key', async () => {
@@ -69,9 +174,10 @@ for(const encryptConfig of keyRecordEncryption) {
             const {keyDescription} = result;
             should.exist(keyDescription);
             keyDescription.should.be.an('object');
-            keyDescription.should.have.keys([
-              '@context', 'id', 'type', 'controller']);
-            keyDescription['@context'].should.equal(expectedContext);
+            keyDescription.should.have.keys(expectedKeys);
+            if(expectedContext) {
+              keyDescription['@context'].should.equal(expectedContext);
+            }
             keyDescription.id.should.equal(keyId);
             keyDescription.type.should.equal(type);
             keyDescription.controller.should.equal(controller);
@@ -285,9 +391,10 @@ for(const encryptConfig of keyRecordEncryption) {
               keyId, controller
             });
             result.should.be.an('object');
-            result.should.have.keys([
-              '@context', 'id', 'type', 'controller']);
-            result['@context'].should.equal(expectedContext);
+            result.should.have.keys(expectedKeys);
+            if(expectedContext) {
+              result['@context'].should.equal(expectedContext);
+            }
             result.id.should.equal(keyId);
             result.type.should.equal(type);
             result.controller.should.equal(controller);
@@ -371,3 +478,70 @@ for(const encryptConfig of keyRecordEncryption) {
     }
   });
 }
+
+describe('hmac known-answer tests', () => {
+  const core = new _SsmCore();
+
+  for(const {testCase, key, data, hmacs} of RFC_4231_VECTORS) {
+    for(const [type, hmac] of Object.entries(hmacs)) {
+      const secret = Buffer.from(key, 'hex').toString('base64url');
+      const verifyData = data.toString('base64url');
+      const signatureValue = Buffer.from(hmac, 'hex').toString('base64url');
+
+      it(`signs RFC 4231 test case ${testCase} w/${type}`, async () => {
+        const result = await core.sign(
+          {key: {type, secret}, operation: {verifyData}});
+        result.should.eql({signatureValue});
+      });
+
+      it(`verifies RFC 4231 test case ${testCase} w/${type}`, async () => {
+        const result = await core.verify(
+          {key: {type, secret}, operation: {verifyData, signatureValue}});
+        result.should.eql({verified: true});
+      });
+    }
+  }
+
+  for(const type of ['Sha384HmacKey2019', 'Sha512HmacKey2019']) {
+    describe(type, () => {
+      const {key, data, hmacs} = RFC_4231_VECTORS[0];
+      const secret = Buffer.from(key, 'hex').toString('base64url');
+      const verifyData = data.toString('base64url');
+
+      it('rejects an HMAC made w/another key type', async () => {
+        for(const [otherType, hmac] of Object.entries(hmacs)) {
+          if(otherType === type) {
+            continue;
+          }
+          const signatureValue = Buffer.from(hmac, 'hex').toString('base64url');
+          const result = await core.verify(
+            {key: {type, secret}, operation: {verifyData, signatureValue}});
+          result.should.eql({verified: false});
+        }
+      });
+
+      it('rejects a modified HMAC', async () => {
+        const signature = Buffer.from(hmacs[type], 'hex');
+        signature[0] ^= 1;
+        const signatureValue = signature.toString('base64url');
+        const result = await core.verify(
+          {key: {type, secret}, operation: {verifyData, signatureValue}});
+        result.should.eql({verified: false});
+      });
+
+      it('throws when used w/a non-hmac operation', async () => {
+        let err;
+        try {
+          await core.wrapKey({
+            key: {type, secret},
+            operation: {unwrappedKey: secret}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.include('Unsupported operation "wrapKey"');
+      });
+    });
+  }
+});
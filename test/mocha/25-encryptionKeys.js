@@ -0,0 +1,279 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brSSM from '@bedrock/ssm-mongodb';
+import {generateId} from 'bnid';
+
+// import is for testing purposes only; not a public export
+import {_createKeyRecordCipher} from '@bedrock/ssm-mongodb';
+
+const keyRecordEncryption = [
+  {
+    title: 'w/no wrapping',
+    kek: null
+  },
+  {
+    title: 'w/aes256 wrapping',
+    kek: {
+      id: 'urn:test:aes256',
+      secretKeyMultibase: 'uogH3ERq9FRYOV8IuUiD2gKZs_qN6SLU-6RtbBUfzqQwGdg'
+    }
+  }
+];
+const supportedKeys = [
+  {type: 'Aes256GcmKey2026'}
+];
+
+const controller = 'https://example.com/i/foo';
+const plaintext = Buffer.from('application data').toString('base64url');
+const additionalData = Buffer.from('urn:example:blob:1').toString('base64url');
+
+for(const encryptConfig of keyRecordEncryption) {
+  describe(`encryption keys ${encryptConfig.title}`, () => {
+    const moduleConfig = bedrock.config['ssm-mongodb'];
+    const oldConfigValue = moduleConfig.keyRecordEncryption;
+    before(async () => {
+      moduleConfig.keyRecordEncryption = {kek: encryptConfig.kek};
+      await _createKeyRecordCipher();
+    });
+    after(() => {
+      moduleConfig.keyRecordEncryption = oldConfigValue;
+    });
+
+    for(const {type} of supportedKeys) {
+      describe(type, () => {
+        describe('generateKey API', () => {
+          it('generates a key', async () => {
+            const keyId = `https://example.com/kms/${await generateId()}`;
+            const invocationTarget = {id: keyId, type};
+            const result = await brSSM.generateKey(
+              {keyId, controller, operation: {invocationTarget}});
+
+            should.exist(result);
+            result.keyId.should.equal(keyId);
+            const {keyDescription} = result;
+            keyDescription.should.have.keys(['id', 'type', 'controller']);
+            keyDescription.id.should.equal(keyId);
+            keyDescription.type.should.equal(type);
+            keyDescription.controller.should.equal(controller);
+          });
+
+          it('throws a DuplicateError for same key ID twice', async () => {
+            const keyId = await _generateKey({type});
+
+            let err;
+            try {
+              const invocationTarget = {id: keyId, type};
+              await brSSM.generateKey(
+                {keyId, controller, operation: {invocationTarget}});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('DuplicateError');
+          });
+        });
+
+        describe('encrypt and decrypt APIs', () => {
+          it('encrypts and decrypts data', async () => {
+            const keyId = await _generateKey({type});
+
+            const encrypted = await brSSM.encrypt(
+              {keyId, operation: {plaintext}});
+            encrypted.should.have.keys(['iv', 'ciphertext', 'tag']);
+            encrypted.ciphertext.should.not.equal(plaintext);
+
+            const result = await brSSM.decrypt(
+              {keyId, operation: encrypted});
+            result.should.eql({plaintext});
+          });
+
+          it('uses a new IV for each encryption', async () => {
+            const keyId = await _generateKey({type});
+
+            const encrypted1 = await brSSM.encrypt(
+              {keyId, operation: {plaintext}});
+            const encrypted2 = await brSSM.encrypt(
+              {keyId, operation: {plaintext}});
+            encrypted1.iv.should.not.equal(encrypted2.iv);
+            encrypted1.ciphertext.should.not.equal(encrypted2.ciphertext);
+          });
+
+          it('authenticates additional data', async () => {
+            const keyId = await _generateKey({type});
+
+            const encrypted = await brSSM.encrypt(
+              {keyId, operation: {plaintext, additionalData}});
+            const result = await brSSM.decrypt(
+              {keyId, operation: {...encrypted, additionalData}});
+            result.should.eql({plaintext});
+
+            // missing or different additional data must fail
+            for(const operation of [
+              encrypted,
+              {...encrypted, additionalData: plaintext}
+            ]) {
+              let err;
+              try {
+                await brSSM.decrypt({keyId, operation});
+              } catch(e) {
+                err = e;
+              }
+              should.exist(err);
+              err.name.should.equal('OperationError');
+            }
+          });
+
+          it('fails to decrypt modified ciphertext', async () => {
+            const keyId = await _generateKey({type});
+
+            const encrypted = await brSSM.encrypt(
+              {keyId, operation: {plaintext}});
+            const ciphertext = Buffer.from(encrypted.ciphertext, 'base64url');
+            ciphertext[0] ^= 1;
+
+            let err;
+            try {
+              await brSSM.decrypt({keyId, operation: {
+                ...encrypted, ciphertext: ciphertext.toString('base64url')
+              }});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('OperationError');
+          });
+
+          it('fails to decrypt with a different key', async () => {
+            const keyId1 = await _generateKey({type});
+            const keyId2 = await _generateKey({type});
+
+            const encrypted = await brSSM.encrypt(
+              {keyId: keyId1, operation: {plaintext}});
+
+            let err;
+            try {
+              await brSSM.decrypt({keyId: keyId2, operation: encrypted});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('OperationError');
+          });
+
+          it('throws a DataError for an invalid IV', async () => {
+            const keyId = await _generateKey({type});
+
+            const encrypted = await brSSM.encrypt(
+              {keyId, operation: {plaintext}});
+
+            let err;
+            try {
+              await brSSM.decrypt({keyId, operation: {
+                ...encrypted, iv: encrypted.iv.slice(1)
+              }});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('DataError');
+          });
+
+          it('fails when "maxCapabilityChainLength" is exceeded', async () => {
+            const keyId = `https://example.com/kms/${await generateId()}`;
+            const invocationTarget = {
+              id: keyId,
+              type,
+              maxCapabilityChainLength: 1
+            };
+            await brSSM.generateKey({
+              keyId, controller, operation: {invocationTarget}
+            });
+
+            // mock `zcapInvocation` with `dereferencedChain` that is
+            // too long (entries not checked, just length)
+            const zcapInvocation = {
+              dereferencedChain: [{}, {}]
+            };
+
+            let err;
+            try {
+              await brSSM.encrypt(
+                {keyId, operation: {plaintext}, zcapInvocation});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('NotAllowedError');
+            err.message.should.equal(
+              'Maximum zcap invocation capability chain length (1) exceeded.');
+          });
+        });
+
+        describe('getKeyDescription API', () => {
+          it('returns a key description', async () => {
+            const keyId = await _generateKey({type});
+
+            const result = await brSSM.getKeyDescription({keyId, controller});
+            result.should.eql({id: keyId, type, controller});
+          });
+        });
+
+        describe('non-encryption APIs', () => {
+          it('throws when trying to sign', async () => {
+            const keyId = await _generateKey({type});
+
+            let err;
+            try {
+              const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+              await brSSM.sign({keyId, operation: {verifyData}});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('Error');
+          });
+
+          it('throws when trying to wrap a key', async () => {
+            const keyId = await _generateKey({type});
+
+            let err;
+            try {
+              const unwrappedKey =
+                '8vEgpnq8F6QVRmaSYPHTKKZyCXMOgRLiBdZPcfYnIfI';
+              await brSSM.wrapKey({keyId, operation: {unwrappedKey}});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('Error');
+          });
+        });
+      });
+    }
+
+    describe('non-encryption keys', () => {
+      it('throws when trying to encrypt', async () => {
+        const keyId = await _generateKey({type: 'AesKeyWrappingKey2019'});
+
+        let err;
+        try {
+          await brSSM.encrypt({keyId, operation: {plaintext}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('Error');
+        err.message.should.include('Unsupported operation "encrypt"');
+      });
+    });
+  });
+}
+
+async function _generateKey({type}) {
+  const keyId = `https://example.com/kms/${await generateId()}`;
+  const invocationTarget = {id: keyId, type};
+  await brSSM.generateKey({keyId, controller, operation: {invocationTarget}});
+  return keyId;
+}
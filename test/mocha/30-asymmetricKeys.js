@@ -1,12 +1,15 @@
 /*!
  * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as base58 from 'base58-universal';
 import * as bedrock from '@bedrock/core';
 import * as Bls12381Multikey from '@digitalbazaar/bls12-381-multikey';
 import * as brSSM from '@bedrock/ssm-mongodb';
 import * as cborg from 'cborg';
 import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
 import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import * as mlDsa from '@noble/post-quantum/ml-dsa.js';
+import crypto from 'node:crypto';
 import {generateId} from 'bnid';
 
 // import is for testing purposes only; not a public export
@@ -46,11 +49,22 @@ const supportedKeys = [
   {type: 'urn:webkms:multikey:P-256'},
   {type: 'urn:webkms:multikey:P-384'},
   {type: 'urn:webkms:multikey:P-521'},
+  {type: 'urn:webkms:multikey:secp256k1'},
   {type: 'urn:webkms:multikey:BBS-BLS12-381-SHA-256'},
   {type: 'urn:webkms:multikey:BBS-BLS12-381-SHAKE-256'},
-  {type: 'urn:webkms:multikey:Bls12381G2'}
+  {type: 'urn:webkms:multikey:Bls12381G2'},
+  {type: 'urn:webkms:multikey:ML-DSA-44'},
+  {type: 'urn:webkms:multikey:ML-DSA-65'},
+  {type: 'urn:webkms:multikey:ML-DSA-87'}
 ];
 
+// ML-DSA parameter sets by key type
+const ML_DSA_ALGORITHMS = new Map([
+  ['urn:webkms:multikey:ML-DSA-44', mlDsa.ml_dsa44],
+  ['urn:webkms:multikey:ML-DSA-65', mlDsa.ml_dsa65],
+  ['urn:webkms:multikey:ML-DSA-87', mlDsa.ml_dsa87]
+]);
+
 for(const encryptConfig of keyRecordEncryption) {
   describe(`asymmetric keys ${encryptConfig.title}`, () => {
     const moduleConfig = bedrock.config['ssm-mongodb'];
@@ -177,6 +191,29 @@ for(const encryptConfig of keyRecordEncryption) {
             const {signatureValue} = result;
             signatureValue.should.be.a('string');
 
+            if(ML_DSA_ALGORITHMS.has(type)) {
+              // strip multibase prefix and 2-byte `mldsa-*-pub` header
+              const publicKeyBytes = base58.decode(
+                publicKey.publicKeyMultibase.slice(1)).slice(2);
+              const verified = ML_DSA_ALGORITHMS.get(type).verify(
+                Buffer.from(signatureValue, 'base64url'), plaintextBuffer,
+                publicKeyBytes);
+              verified.should.be.a('boolean');
+              verified.should.be.true;
+              return;
+            }
+
+            if(type === 'urn:webkms:multikey:secp256k1') {
+              // `EcdsaMultikey` does not support secp256k1
+              const verified = crypto.verify('sha256', plaintextBuffer, {
+                key: _secp256k1PublicKey(publicKey),
+                dsaEncoding: 'ieee-p1363'
+              }, Buffer.from(signatureValue, 'base64url'));
+              verified.should.be.a('boolean');
+              verified.should.be.true;
+              return;
+            }
+
             let verifier;
             if(type.includes('Ed25519')) {
               const keyPair = await Ed25519Multikey.from(publicKey);
@@ -216,6 +253,86 @@ for(const encryptConfig of keyRecordEncryption) {
             verified.should.be.true;
           });
 
+          if(type.startsWith('urn:webkms:multikey:BBS-') ||
+            type === 'urn:webkms:multikey:Bls12381G2') {
+            it('produces a multi-message signature w/a header', async () => {
+              const keyId = `https://example.com/kms/${await generateId()}`;
+              const controller = 'https://example.com/i/foo';
+              const invocationTarget = {id: keyId, type};
+              const {keyDescription: publicKey} = await brSSM.generateKey(
+                {keyId, controller, operation: {invocationTarget}});
+
+              const header = Buffer.from('urn:example:header', 'utf8');
+              const messages = [];
+              for(let i = 0; i < 3; ++i) {
+                messages.push(
+                  Buffer.from(globalThis.crypto.randomUUID(), 'utf8'));
+              }
+              const result = await brSSM.sign({
+                keyId, operation: {
+                  header: header.toString('base64url'),
+                  messages: messages.map(m => m.toString('base64url'))
+                }
+              });
+              result.should.have.keys(['signatureValue']);
+
+              // derive a proof that discloses only some messages
+              const keyPair = await Bls12381Multikey.from(publicKey);
+              const presentationHeader = new Uint8Array();
+              const proof = await keyPair.deriveProof({
+                signature: Buffer.from(result.signatureValue, 'base64url'),
+                header, messages, presentationHeader,
+                disclosedMessageIndexes: [0, 2]
+              });
+              const verified = await keyPair.verifier().multiverify({
+                proof, header, presentationHeader,
+                messages: [messages[0], undefined, messages[2]]
+              });
+              verified.should.be.true;
+
+              // signature is the same as one over CBOR-encoded parameters
+              // for the same header and messages
+              const verifyData = Buffer.from(cborg.encode(
+                [new Uint8Array(header), messages.map(m => new Uint8Array(m))]
+              )).toString('base64url');
+              const {signatureValue} = await brSSM.sign(
+                {keyId, operation: {verifyData}});
+              const proof2 = await keyPair.deriveProof({
+                signature: Buffer.from(signatureValue, 'base64url'),
+                header, messages, presentationHeader,
+                disclosedMessageIndexes: [1]
+              });
+              const verified2 = await keyPair.verifier().multiverify({
+                proof: proof2, header, presentationHeader,
+                messages: [undefined, messages[1], undefined]
+              });
+              verified2.should.be.true;
+            });
+
+            it('throws a DataError for invalid messages', async () => {
+              const keyId = `https://example.com/kms/${await generateId()}`;
+              const controller = 'https://example.com/i/foo';
+              const invocationTarget = {id: keyId, type};
+              await brSSM.generateKey(
+                {keyId, controller, operation: {invocationTarget}});
+
+              for(const operation of [
+                {messages: []},
+                {messages: [1]},
+                {messages: ['YWJj'], verifyData: 'YWJj'}
+              ]) {
+                let err;
+                try {
+                  await brSSM.sign({keyId, operation});
+                } catch(e) {
+                  err = e;
+                }
+                should.exist(err);
+                err.name.should.equal('DataError');
+              }
+            });
+          }
+
           it('fails when "maxCapabilityChainLength" is exceeded', async () => {
             const keyId = `https://example.com/kms/${await generateId()}`;
             const controller = 'https://example.com/i/foo';
@@ -352,3 +469,57 @@ for(const encryptConfig of keyRecordEncryption) {
     }
   });
 }
+
+describe('secp256k1 key generation', () => {
+  it('encodes a 32-byte secret w/a leading zero byte', async () => {
+    // import is for testing purposes only; not a public export
+    const secp256k1Key = await import(
+      '@bedrock/ssm-mongodb/lib/secp256k1Key.js');
+
+    // force generation of a private key scalar w/a leading zero byte
+    const {createECDH} = crypto;
+    crypto.createECDH = curve => {
+      const ecdh = createECDH(curve);
+      ecdh.generateKeys = () => ecdh.setPrivateKey(Buffer.concat(
+        [Buffer.alloc(1), crypto.randomBytes(31)]));
+      return ecdh;
+    };
+    let key;
+    try {
+      ({key} = await secp256k1Key.generateKey(
+        {keyId: 'urn:test', type: 'urn:webkms:multikey:secp256k1'}));
+    } finally {
+      crypto.createECDH = createECDH;
+    }
+
+    // strip multibase prefix and 2-byte `secp256k1-priv` header
+    const secret = base58.decode(key.secretKeyMultibase.slice(1)).slice(2);
+    secret.length.should.equal(32);
+    secret[0].should.equal(0);
+
+    const verifyData = Buffer.from('test').toString('base64url');
+    const {signatureValue} = await secp256k1Key.sign(
+      {key, operation: {verifyData}});
+    crypto.verify(
+      'sha256', Buffer.from('test'),
+      {key: _secp256k1PublicKey(key), dsaEncoding: 'ieee-p1363'},
+      Buffer.from(signatureValue, 'base64url')).should.equal(true);
+  });
+});
+
+function _secp256k1PublicKey({publicKeyMultibase}) {
+  // strip multibase prefix and 2-byte `secp256k1-pub` header
+  const compressed = base58.decode(publicKeyMultibase.slice(1)).slice(2);
+  // uncompressed public key is `0x04 | x | y`
+  const publicKey = crypto.ECDH.convertKey(
+    compressed, 'secp256k1', undefined, undefined, 'uncompressed');
+  return crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'secp256k1',
+      x: publicKey.subarray(1, 33).toString('base64url'),
+      y: publicKey.subarray(33).toString('base64url')
+    },
+    format: 'jwk'
+  });
+}
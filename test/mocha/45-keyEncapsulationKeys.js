@@ -0,0 +1,256 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base58 from 'base58-universal';
+import * as bedrock from '@bedrock/core';
+import * as brSSM from '@bedrock/ssm-mongodb';
+import * as mlKem from '@noble/post-quantum/ml-kem.js';
+import {generateId} from 'bnid';
+
+// import is for testing purposes only; not a public export
+import {_createKeyRecordCipher} from '@bedrock/ssm-mongodb';
+
+const keyRecordEncryption = [
+  {
+    title: 'w/no wrapping',
+    kek: null
+  },
+  {
+    title: 'w/aes256 wrapping',
+    kek: {
+      id: 'urn:test:aes256',
+      secretKeyMultibase: 'uogH3ERq9FRYOV8IuUiD2gKZs_qN6SLU-6RtbBUfzqQwGdg'
+    }
+  }
+];
+const supportedKeys = [
+  {type: 'urn:webkms:multikey:ML-KEM-768', algorithm: mlKem.ml_kem768},
+  {type: 'urn:webkms:multikey:ML-KEM-1024', algorithm: mlKem.ml_kem1024}
+];
+
+const controller = 'https://example.com/i/foo';
+
+for(const encryptConfig of keyRecordEncryption) {
+  describe(`key encapsulation keys ${encryptConfig.title}`, () => {
+    const moduleConfig = bedrock.config['ssm-mongodb'];
+    const oldConfigValue = moduleConfig.keyRecordEncryption;
+    before(async () => {
+      moduleConfig.keyRecordEncryption = {kek: encryptConfig.kek};
+      await _createKeyRecordCipher();
+    });
+    after(() => {
+      moduleConfig.keyRecordEncryption = oldConfigValue;
+    });
+
+    for(const {type, algorithm} of supportedKeys) {
+      describe(type, () => {
+        describe('generateKey API', () => {
+          it('generates a key pair', async () => {
+            const keyId = `https://example.com/kms/${await generateId()}`;
+            const invocationTarget = {id: keyId, type};
+            const result = await brSSM.generateKey(
+              {keyId, controller, operation: {invocationTarget}});
+
+            should.exist(result);
+            result.keyId.should.equal(keyId);
+            const {keyDescription} = result;
+            keyDescription.should.have.keys([
+              '@context', 'id', 'publicKeyMultibase', 'type', 'controller']);
+            keyDescription['@context'].should.equal(
+              'https://w3id.org/security/multikey/v1');
+            keyDescription.id.should.equal(keyId);
+            keyDescription.type.should.equal('Multikey');
+            keyDescription.controller.should.equal(controller);
+            _decodePublicKey(keyDescription).should.have.length(
+              algorithm.lengths.publicKey);
+          });
+
+          it('generates with a public alias template', async () => {
+            const keyId = `https://example.com/kms/${await generateId()}`;
+            const invocationTarget = {
+              id: keyId, type,
+              publicAliasTemplate: '{+controller}#{publicKeyMultibase}'
+            };
+            const {keyDescription} = await brSSM.generateKey(
+              {keyId, controller, operation: {invocationTarget}});
+
+            keyDescription.id.should.equal(
+              `${controller}#${keyDescription.publicKeyMultibase}`);
+          });
+
+          it('throws a DuplicateError for same key ID twice', async () => {
+            const {keyId} = await _generateKey({type});
+
+            let err;
+            try {
+              const invocationTarget = {id: keyId, type};
+              await brSSM.generateKey(
+                {keyId, controller, operation: {invocationTarget}});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('DuplicateError');
+          });
+        });
+
+        describe('encapsulate and decapsulate APIs', () => {
+          it('encapsulates and decapsulates a secret', async () => {
+            const {keyId} = await _generateKey({type});
+
+            const encapsulated = await brSSM.encapsulate(
+              {keyId, operation: {}});
+            encapsulated.should.have.keys(['ciphertext', 'secret']);
+            Buffer.from(encapsulated.ciphertext, 'base64url').should.have
+              .length(algorithm.lengths.cipherText);
+            Buffer.from(encapsulated.secret, 'base64url').should.have
+              .length(32);
+
+            const {ciphertext} = encapsulated;
+            const result = await brSSM.decapsulate(
+              {keyId, operation: {ciphertext}});
+            result.should.eql({secret: encapsulated.secret});
+          });
+
+          it('decapsulates a secret encapsulated by another party',
+            async () => {
+              const {keyId, keyDescription} = await _generateKey({type});
+
+              const {cipherText, sharedSecret} = algorithm.encapsulate(
+                _decodePublicKey(keyDescription));
+              const ciphertext = Buffer.from(cipherText).toString('base64url');
+              const result = await brSSM.decapsulate(
+                {keyId, operation: {ciphertext}});
+              result.should.eql(
+                {secret: Buffer.from(sharedSecret).toString('base64url')});
+            });
+
+          it('decapsulates a different secret with another key', async () => {
+            const {keyId: keyId1} = await _generateKey({type});
+            const {keyId: keyId2} = await _generateKey({type});
+
+            const {ciphertext, secret} = await brSSM.encapsulate(
+              {keyId: keyId1, operation: {}});
+            const result = await brSSM.decapsulate(
+              {keyId: keyId2, operation: {ciphertext}});
+            result.secret.should.not.equal(secret);
+          });
+
+          it('throws a DataError for an invalid ciphertext', async () => {
+            const {keyId} = await _generateKey({type});
+
+            const {ciphertext} = await brSSM.encapsulate(
+              {keyId, operation: {}});
+
+            let err;
+            try {
+              await brSSM.decapsulate(
+                {keyId, operation: {ciphertext: ciphertext.slice(4)}});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('DataError');
+          });
+
+          it('fails when "maxCapabilityChainLength" is exceeded', async () => {
+            const keyId = `https://example.com/kms/${await generateId()}`;
+            const invocationTarget = {
+              id: keyId,
+              type,
+              maxCapabilityChainLength: 1
+            };
+            await brSSM.generateKey({
+              keyId, controller, operation: {invocationTarget}
+            });
+
+            // mock `zcapInvocation` with `dereferencedChain` that is
+            // too long (entries not checked, just length)
+            const zcapInvocation = {
+              dereferencedChain: [{}, {}]
+            };
+
+            let err;
+            try {
+              await brSSM.encapsulate({keyId, operation: {}, zcapInvocation});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('NotAllowedError');
+            err.message.should.equal(
+              'Maximum zcap invocation capability chain length (1) exceeded.');
+          });
+        });
+
+        describe('getKeyDescription API', () => {
+          it('returns a key description', async () => {
+            const {keyId, keyDescription} = await _generateKey({type});
+
+            const result = await brSSM.getKeyDescription({keyId, controller});
+            result.should.eql(keyDescription);
+          });
+        });
+
+        describe('non-key encapsulation key APIs', () => {
+          it('throws when trying to derive a secret', async () => {
+            const {keyId} = await _generateKey({type});
+
+            let err;
+            try {
+              await brSSM.deriveSecret({keyId, operation: {publicKey: {type}}});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('Error');
+          });
+
+          it('throws when trying to sign', async () => {
+            const {keyId} = await _generateKey({type});
+
+            let err;
+            try {
+              const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+              await brSSM.sign({keyId, operation: {verifyData}});
+            } catch(e) {
+              err = e;
+            }
+            should.exist(err);
+            err.name.should.equal('Error');
+          });
+        });
+      });
+    }
+
+    describe('non-key encapsulation keys', () => {
+      it('throws when trying to encapsulate', async () => {
+        const {keyId} = await _generateKey(
+          {type: 'urn:webkms:multikey:X25519'});
+
+        let err;
+        try {
+          await brSSM.encapsulate({keyId, operation: {}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('Error');
+        err.message.should.include('Unsupported operation "encapsulate"');
+      });
+    });
+  });
+}
+
+function _decodePublicKey({publicKeyMultibase}) {
+  // strip multibase prefix and 2-byte `mlkem-*-pub` header
+  return base58.decode(publicKeyMultibase.slice(1)).slice(2);
+}
+
+async function _generateKey({type}) {
+  const keyId = `https://example.com/kms/${await generateId()}`;
+  const invocationTarget = {id: keyId, type};
+  const {keyDescription} = await brSSM.generateKey(
+    {keyId, controller, operation: {invocationTarget}});
+  return {keyId, keyDescription};
+}
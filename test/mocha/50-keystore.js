@@ -66,6 +66,413 @@ for(const encryptConfig of keyRecordEncryption) {
       });
     });
 
+    describe('getKeystoreStats API', () => {
+      it('gets statistics for a keystore', async () => {
+        const keystoreId =
+          `https://example.com/keystores/${await generateId()}`;
+        const keys = [
+          {type: 'urn:webkms:multikey:Ed25519', controller: 'urn:test:a'},
+          {type: 'urn:webkms:multikey:Ed25519', controller: 'urn:test:b'},
+          {type: 'Sha256HmacKey2019', controller: 'urn:test:a'}
+        ];
+        const start = Date.now();
+        for(const {type, controller} of keys) {
+          const keyId = `${keystoreId}/${await generateId()}`;
+          const invocationTarget = {id: keyId, type};
+          await brSSM.generateKey(
+            {keyId, controller, operation: {invocationTarget}});
+        }
+
+        const result = await brSSM.getKeystoreStats({keystoreId});
+        result.should.have.keys([
+          'count', 'byType', 'byController', 'encrypted', 'plaintext',
+          'oldestCreated', 'newestCreated'
+        ]);
+        result.count.should.equal(3);
+        result.byType.should.eql([
+          {type: 'urn:webkms:multikey:Ed25519', count: 2},
+          {type: 'Sha256HmacKey2019', count: 1}
+        ]);
+        result.byController.should.eql([
+          {controller: 'urn:test:a', count: 2},
+          {controller: 'urn:test:b', count: 1}
+        ]);
+        if(encryptConfig.kek) {
+          result.encrypted.should.equal(3);
+          result.plaintext.should.equal(0);
+        } else {
+          result.encrypted.should.equal(0);
+          result.plaintext.should.equal(3);
+        }
+        result.oldestCreated.should.be.gte(start);
+        result.newestCreated.should.be.gte(result.oldestCreated);
+        result.newestCreated.should.be.lte(Date.now());
+      });
+
+      it('gets statistics for an empty keystore', async () => {
+        const keystoreId =
+          `https://example.com/keystores/${await generateId()}`;
+        const result = await brSSM.getKeystoreStats({keystoreId});
+        result.should.eql({
+          count: 0, byType: [], byController: [], encrypted: 0, plaintext: 0,
+          oldestCreated: null, newestCreated: null
+        });
+      });
+    });
+
+    describe('exportKeystore and importKeystore APIs', () => {
+      const controller = 'https://example.com/i/foo';
+      const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+      const wrappingKey = {
+        id: 'urn:test:backup',
+        secretKeyMultibase: 'uogHy02QDNPX4GHBSLK2DJ-hzSbsUAa2rc7eKNwWh2wzz4Q'
+      };
+      let keystoreId;
+      let keyIds;
+      beforeEach(async () => {
+        keystoreId = `https://example.com/keystores/${await generateId()}`;
+        keyIds = [];
+        const types = ['urn:webkms:multikey:Ed25519', 'Sha256HmacKey2019'];
+        for(const type of types) {
+          const keyId = `${keystoreId}/${await generateId()}`;
+          const invocationTarget = {id: keyId, type};
+          await brSSM.generateKey(
+            {keyId, controller, operation: {invocationTarget}});
+          keyIds.push(keyId);
+        }
+      });
+
+      it('exports and restores a keystore', async () => {
+        const [, hmacKeyId] = keyIds;
+        const {signatureValue} = await brSSM.sign(
+          {keyId: hmacKeyId, operation: {verifyData}});
+
+        const archive = await brSSM.exportKeystore({keystoreId, wrappingKey});
+        archive.type.should.equal('SsmKeystoreArchive');
+        archive.keystoreId.should.equal(keystoreId);
+        archive.wrappingKeyId.should.equal(wrappingKey.id);
+        archive.header.should.have.keys(['encrypted']);
+        archive.header.encrypted.kekId.should.equal(wrappingKey.id);
+        archive.records.should.have.length(2);
+        for(const record of archive.records) {
+          // whole key record is encrypted
+          record.should.have.keys(['encrypted']);
+          record.encrypted.kekId.should.equal(wrappingKey.id);
+        }
+
+        // restore a serialized archive after removing the keystore's keys
+        await database.collections.ssm.deleteMany({keystoreId});
+        brSSM.clearCache();
+        const result = await brSSM.importKeystore({
+          archive: JSON.parse(JSON.stringify(archive)), wrappingKey
+        });
+        result.should.eql({keystoreId, imported: 2});
+
+        const {verified} = await brSSM.verify(
+          {keyId: hmacKeyId, operation: {verifyData, signatureValue}});
+        verified.should.equal(true);
+        const record = await database.collections.ssm.findOne(
+          {'key.id': hmacKeyId});
+        if(encryptConfig.kek) {
+          record.key.encrypted.kekId.should.equal(encryptConfig.kek.id);
+        } else {
+          should.not.exist(record.key.encrypted);
+        }
+      });
+
+      it('restores key revocation', async () => {
+        const [, hmacKeyId] = keyIds;
+        await brSSM.revokeKey({keyId: hmacKeyId, controller});
+        const {meta} = await database.collections.ssm.findOne(
+          {'key.id': hmacKeyId});
+
+        const archive = await brSSM.exportKeystore({keystoreId, wrappingKey});
+        await database.collections.ssm.deleteMany({keystoreId});
+        brSSM.clearCache();
+        await brSSM.importKeystore({archive, wrappingKey});
+
+        const record = await database.collections.ssm.findOne(
+          {'key.id': hmacKeyId});
+        record.meta.revoked.should.equal(meta.revoked);
+        record.meta.revokedBy.should.equal(controller);
+        record.meta.controller.should.equal(controller);
+        record.meta.created.should.equal(meta.created);
+        record.meta.updated.should.be.gte(meta.updated);
+
+        let err;
+        try {
+          await brSSM.sign({keyId: hmacKeyId, operation: {verifyData}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+      });
+
+      it('throws if an archived key record was modified', async () => {
+        const archive = await brSSM.exportKeystore({keystoreId, wrappingKey});
+        await database.collections.ssm.deleteMany({keystoreId});
+
+        // swap the ciphertexts of the archived key records
+        const [{encrypted: first}, {encrypted: second}] = archive.records;
+        const {ciphertext} = first.jwe;
+        first.jwe.ciphertext = second.jwe.ciphertext;
+        second.jwe.ciphertext = ciphertext;
+
+        let err;
+        try {
+          await brSSM.importKeystore({archive, wrappingKey});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('OperationError');
+        const count = await database.collections.ssm.countDocuments(
+          {keystoreId});
+        count.should.equal(0);
+      });
+
+      it('throws if archived key records were dropped', async () => {
+        const archive = await brSSM.exportKeystore({keystoreId, wrappingKey});
+        await database.collections.ssm.deleteMany({keystoreId});
+        archive.records.pop();
+
+        let err;
+        try {
+          await brSSM.importKeystore({archive, wrappingKey});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('OperationError');
+        const count = await database.collections.ssm.countDocuments(
+          {keystoreId});
+        count.should.equal(0);
+      });
+
+      it('throws if archived key records were reordered', async () => {
+        const archive = await brSSM.exportKeystore({keystoreId, wrappingKey});
+        await database.collections.ssm.deleteMany({keystoreId});
+        archive.records.reverse();
+
+        let err;
+        try {
+          await brSSM.importKeystore({archive, wrappingKey});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('OperationError');
+        const count = await database.collections.ssm.countDocuments(
+          {keystoreId});
+        count.should.equal(0);
+      });
+
+      it('throws if an archived key record was duplicated', async () => {
+        const archive = await brSSM.exportKeystore({keystoreId, wrappingKey});
+        await database.collections.ssm.deleteMany({keystoreId});
+        archive.records[1] = archive.records[0];
+
+        let err;
+        try {
+          await brSSM.importKeystore({archive, wrappingKey});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('OperationError');
+        const count = await database.collections.ssm.countDocuments(
+          {keystoreId});
+        count.should.equal(0);
+      });
+
+      it('removes imported key records if a key is created concurrently',
+        async () => {
+          const archive = await brSSM.exportKeystore(
+            {keystoreId, wrappingKey});
+          const records = await database.collections.ssm.find(
+            {keystoreId}, {projection: {_id: 0}}).sort({localId: 1}).toArray();
+          await database.collections.ssm.deleteMany({keystoreId});
+          brSSM.clearCache();
+
+          // create the last archived key just before the import inserts
+          const {insertMany} = database.collections.ssm;
+          database.collections.ssm.insertMany = async function(...args) {
+            await this.insertOne(records.at(-1));
+            return insertMany.apply(this, args);
+          };
+          let err;
+          try {
+            await brSSM.importKeystore({archive, wrappingKey});
+          } catch(e) {
+            err = e;
+          } finally {
+            delete database.collections.ssm.insertMany;
+          }
+          should.exist(err);
+          err.name.should.equal('DuplicateError');
+
+          // only the concurrently created key remains
+          const remaining = await database.collections.ssm.find(
+            {keystoreId}).toArray();
+          remaining.map(({localId}) => localId).should.eql(
+            [records.at(-1).localId]);
+        });
+
+      it('throws if a key already exists', async () => {
+        const archive = await brSSM.exportKeystore({keystoreId, wrappingKey});
+
+        let err;
+        try {
+          await brSSM.importKeystore({archive, wrappingKey});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DuplicateError');
+        should.exist(err.details.keyId);
+      });
+
+      it('throws if the archive cannot be decrypted', async () => {
+        const archive = await brSSM.exportKeystore({keystoreId, wrappingKey});
+        await database.collections.ssm.deleteMany({keystoreId});
+
+        let err;
+        try {
+          await brSSM.importKeystore({
+            archive, wrappingKey: {
+              ...wrappingKey,
+              secretKeyMultibase:
+                'uogH3ERq9FRYOV8IuUiD2gKZs_qN6SLU-6RtbBUfzqQwGdg'
+            }
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('OperationError');
+        const count = await database.collections.ssm.countDocuments(
+          {keystoreId});
+        count.should.equal(0);
+      });
+
+      it('throws on an invalid wrapping key', async () => {
+        let err;
+        try {
+          await brSSM.exportKeystore({
+            keystoreId, wrappingKey: {id: wrappingKey.id}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      });
+    });
+
+    describe('listKeys API', () => {
+      const controller = 'https://example.com/i/foo';
+      let keystoreId;
+      let keyIds;
+      before(async () => {
+        // clear existing keys for accurate listing unaffected by other tests
+        await database.collections.ssm.deleteMany();
+
+        keyIds = [];
+        const types = [
+          'urn:webkms:multikey:Ed25519',
+          'urn:webkms:multikey:Ed25519',
+          'urn:webkms:multikey:Ed25519',
+          'Sha256HmacKey2019',
+          'Sha256HmacKey2019'
+        ];
+        for(const type of types) {
+          const keyId = `https://example.com/kms/${await generateId()}`;
+          const invocationTarget = {id: keyId, type};
+          await brSSM.generateKey(
+            {keyId, controller, operation: {invocationTarget}});
+          keyIds.push(keyId);
+        }
+        keystoreId = helpers.localId({id: keyIds[0]});
+      });
+
+      it('lists all key descriptions in a keystore', async () => {
+        const result = await brSSM.listKeys({keystoreId, controller});
+        result.should.be.an('object');
+        result.should.have.keys(['keyDescriptions']);
+        result.keyDescriptions.should.have.length(5);
+        result.keyDescriptions.map(({id}) => id).should.have.members(keyIds);
+        for(const keyDescription of result.keyDescriptions) {
+          keyDescription.controller.should.equal(controller);
+          should.not.exist(keyDescription.secret);
+          should.not.exist(keyDescription.secretKeyMultibase);
+          if(keyDescription.type === 'Multikey') {
+            keyDescription.publicKeyMultibase.should.be.a('string');
+          }
+        }
+      });
+
+      it('pages through key descriptions', async () => {
+        const ids = [];
+        let after;
+        let pages = 0;
+        do {
+          const result = await brSSM.listKeys(
+            {keystoreId, controller, limit: 2, after});
+          result.keyDescriptions.length.should.be.lte(2);
+          ids.push(...result.keyDescriptions.map(({id}) => id));
+          ({after} = result);
+          pages++;
+        } while(after);
+        pages.should.equal(3);
+        ids.should.have.length(5);
+        ids.should.have.members(keyIds);
+      });
+
+      it('filters key descriptions by type', async () => {
+        const result = await brSSM.listKeys(
+          {keystoreId, controller, type: 'Sha256HmacKey2019'});
+        result.keyDescriptions.should.have.length(2);
+        for(const keyDescription of result.keyDescriptions) {
+          keyDescription.type.should.equal('Sha256HmacKey2019');
+        }
+      });
+
+      it('filters key descriptions by controller', async () => {
+        const otherController = 'https://example.com/i/bar';
+        const keyId = `${keystoreId}/${await generateId()}`;
+        const invocationTarget = {id: keyId, type: 'Sha256HmacKey2019'};
+        await brSSM.generateKey(
+          {keyId, controller: otherController, operation: {invocationTarget}});
+
+        const result = await brSSM.listKeys({keystoreId, controller});
+        result.keyDescriptions.map(({id}) => id).should.have.members(keyIds);
+
+        const otherResult = await brSSM.listKeys(
+          {keystoreId, controller: otherController});
+        otherResult.keyDescriptions.map(({id}) => id).should.eql([keyId]);
+        otherResult.keyDescriptions[0].controller.should.equal(
+          otherController);
+
+        const allResult = await brSSM.listKeys({keystoreId});
+        allResult.keyDescriptions.map(({id}) => id).should.have.members(
+          [...keyIds, keyId]);
+
+        await brSSM.deleteKey({keyId, controller: otherController});
+      });
+
+      it('throws a DataError for an invalid limit', async () => {
+        let err;
+        try {
+          await brSSM.listKeys({keystoreId, controller, limit: 1000});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      });
+    });
+
     describe('generateKey API', () => {
       it('throws an Error if invalid type is used', async () => {
         const keyId = `https://example.com/kms/${await generateId()}`;
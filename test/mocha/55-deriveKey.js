@@ -0,0 +1,395 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brSSM from '@bedrock/ssm-mongodb';
+import crypto from 'node:crypto';
+import {generateId} from 'bnid';
+
+const controller = 'https://example.com/i/foo';
+const salt = Buffer.from('salt').toString('base64url');
+const info = Buffer.from('urn:example:context').toString('base64url');
+const verifyData = Buffer.from('data').toString('base64url');
+
+describe('deriveKey API', () => {
+  describe('stored derived keys', () => {
+    for(const type of [
+      'Sha256HmacKey2019', 'Sha384HmacKey2019', 'Sha512HmacKey2019'
+    ]) {
+      it(`derives a stored key from a "${type}" key`, async () => {
+        const keyId = await _generateKey({type});
+        const derivedKeyId = await _newKeyId();
+
+        const result = await brSSM.deriveKey({
+          keyId, controller, operation: {
+            salt, info, derivedKey: {id: derivedKeyId, type}
+          }
+        });
+        result.keyId.should.equal(derivedKeyId);
+        result.keyDescription.id.should.equal(derivedKeyId);
+        result.keyDescription.type.should.equal(type);
+        result.keyDescription.controller.should.equal(controller);
+
+        // derived key can be used and differs from its parent
+        const {signatureValue} = await brSSM.sign(
+          {keyId: derivedKeyId, operation: {verifyData}});
+        const parent = await brSSM.sign({keyId, operation: {verifyData}});
+        signatureValue.should.not.equal(parent.signatureValue);
+      });
+    }
+
+    it('derives the same key from the same salt and info', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      const type = 'Sha256HmacKey2019';
+
+      const signatures = [];
+      for(const operation of [
+        {salt, info},
+        {salt, info},
+        {salt, info: Buffer.from('other').toString('base64url')},
+        {info}
+      ]) {
+        const {keyId: derivedKeyId} = await brSSM.deriveKey({
+          keyId, controller, operation: {
+            ...operation, derivedKey: {id: await _newKeyId(), type}
+          }
+        });
+        const {signatureValue} = await brSSM.sign(
+          {keyId: derivedKeyId, operation: {verifyData}});
+        signatures.push(signatureValue);
+      }
+      signatures[0].should.equal(signatures[1]);
+      signatures[0].should.not.equal(signatures[2]);
+      signatures[0].should.not.equal(signatures[3]);
+    });
+
+    it('derives a stored encryption key', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      const derivedKeyId = await _newKeyId();
+      await brSSM.deriveKey({
+        keyId, controller, operation: {
+          salt, info, derivedKey: {id: derivedKeyId, type: 'Aes256GcmKey2026'}
+        }
+      });
+
+      const plaintext = Buffer.from('secret data').toString('base64url');
+      const encrypted = await brSSM.encrypt(
+        {keyId: derivedKeyId, operation: {plaintext}});
+      const result = await brSSM.decrypt(
+        {keyId: derivedKeyId, operation: encrypted});
+      result.should.eql({plaintext});
+    });
+
+    it('throws a DuplicateError for an existing key ID', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+
+      let err;
+      try {
+        await brSSM.deriveKey({
+          keyId, controller, operation: {
+            salt, info, derivedKey: {id: keyId, type: 'Sha256HmacKey2019'}
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+    });
+
+    it('throws a DataError for a key in another keystore', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+
+      let err;
+      try {
+        await brSSM.deriveKey({
+          keyId, controller, operation: {
+            salt, info, derivedKey: {
+              id: `https://example.com/other/${await generateId()}`,
+              type: 'Sha256HmacKey2019'
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+
+    it('throws a DataError for an unsupported derived key type', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+
+      let err;
+      try {
+        await brSSM.deriveKey({
+          keyId, controller, operation: {
+            salt, info, derivedKey: {
+              id: await _newKeyId(), type: 'urn:webkms:multikey:Ed25519'
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+
+  describe('wrapped derived keys', () => {
+    for(const type of [
+      'urn:webkms:multikey:X25519', 'urn:webkms:multikey:ECDH-P-256'
+    ]) {
+      it(`derives a wrapped key from a "${type}" key`, async () => {
+        const keyId = await _newKeyId();
+        const {keyDescription: publicKey} = await brSSM.generateKey({
+          keyId, controller, operation: {invocationTarget: {id: keyId, type}}
+        });
+        const wrappingKeyId = await _generateKey(
+          {type: 'AesKeyWrappingKey2019'});
+
+        const {wrappedKey} = await brSSM.deriveKey({
+          keyId, controller, operation: {
+            salt, info, publicKey, wrappingKeyId
+          }
+        });
+        const {unwrappedKey} = await brSSM.unwrapKey(
+          {keyId: wrappingKeyId, operation: {wrappedKey}});
+
+        // derived key is HKDF-SHA-256 over the key agreement secret
+        const {secret} = await brSSM.deriveSecret(
+          {keyId, operation: {publicKey}});
+        const expected = Buffer.from(crypto.hkdfSync(
+          'sha256', Buffer.from(secret, 'base64url'),
+          Buffer.from(salt, 'base64url'), Buffer.from(info, 'base64url'), 32));
+        Buffer.from(unwrappedKey, 'base64url').should.eql(expected);
+      });
+    }
+
+    it('derives a wrapped key of a given length', async () => {
+      const keyId = await _generateKey({type: 'Sha512HmacKey2019'});
+      const wrappingKeyId = await _generateKey(
+        {type: 'AesKeyWrappingKey2019'});
+
+      const {wrappedKey} = await brSSM.deriveKey({
+        keyId, controller, operation: {salt, info, wrappingKeyId, length: 64}
+      });
+      const {unwrappedKey} = await brSSM.unwrapKey(
+        {keyId: wrappingKeyId, operation: {wrappedKey}});
+      Buffer.from(unwrappedKey, 'base64url').should.have.length(64);
+    });
+
+    it('throws a DataError for a non-wrapping key', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      const wrappingKeyId = await _generateKey({type: 'Aes256GcmKey2026'});
+
+      let err;
+      try {
+        await brSSM.deriveKey(
+          {keyId, controller, operation: {salt, info, wrappingKeyId}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+
+    it('fails when the wrapping key is not authorized', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      const wrappingKeyId = await _newKeyId();
+      await brSSM.generateKey({
+        keyId: wrappingKeyId, controller, operation: {
+          invocationTarget: {
+            id: wrappingKeyId, type: 'AesKeyWrappingKey2019',
+            maxCapabilityChainLength: 1
+          }
+        }
+      });
+
+      // mock `zcapInvocation` with `dereferencedChain` that is
+      // too long (entries not checked, just length)
+      const zcapInvocation = {dereferencedChain: [{}, {}]};
+
+      let err;
+      try {
+        await brSSM.deriveKey({
+          keyId, controller, operation: {salt, info, wrappingKeyId},
+          zcapInvocation
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      // revoked wrapping key
+      const revokedKeyId = await _generateKey(
+        {type: 'AesKeyWrappingKey2019'});
+      await brSSM.revokeKey({keyId: revokedKeyId, controller});
+      err = null;
+      try {
+        await brSSM.deriveKey({
+          keyId, controller,
+          operation: {salt, info, wrappingKeyId: revokedKeyId}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+
+    it('throws a DataError for an invalid length', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      const wrappingKeyId = await _generateKey(
+        {type: 'AesKeyWrappingKey2019'});
+
+      let err;
+      try {
+        await brSSM.deriveKey({
+          keyId, controller, operation: {salt, info, wrappingKeyId, length: 20}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+
+  describe('invalid operations', () => {
+    it('throws a DataError w/o a public key for a key agreement key',
+      async () => {
+        const keyId = await _generateKey({type: 'urn:webkms:multikey:X25519'});
+        const wrappingKeyId = await _generateKey(
+          {type: 'AesKeyWrappingKey2019'});
+
+        let err;
+        try {
+          await brSSM.deriveKey(
+            {keyId, controller, operation: {salt, info, wrappingKeyId}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      });
+
+    it('throws a DataError w/both or neither output', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      const wrappingKeyId = await _generateKey(
+        {type: 'AesKeyWrappingKey2019'});
+      const derivedKey = {id: await _newKeyId(), type: 'Sha256HmacKey2019'};
+
+      for(const operation of [
+        {salt, info},
+        {salt, info, derivedKey, wrappingKeyId}
+      ]) {
+        let err;
+        try {
+          await brSSM.deriveKey({keyId, controller, operation});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      }
+    });
+
+    it('throws when deriving from a signature key', async () => {
+      const keyId = await _generateKey({type: 'urn:webkms:multikey:Ed25519'});
+      const wrappingKeyId = await _generateKey(
+        {type: 'AesKeyWrappingKey2019'});
+      const keyAgreementKeyId = await _generateKey(
+        {type: 'urn:webkms:multikey:X25519'});
+      const publicKey = await brSSM.getKeyDescription(
+        {keyId: keyAgreementKeyId, controller});
+
+      let err;
+      try {
+        await brSSM.deriveKey({
+          keyId, controller, operation: {
+            salt, info, publicKey, wrappingKeyId
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('Error');
+    });
+
+    it('does not store a key derived from a revoked key', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      await brSSM.revokeKey({keyId, controller});
+      const derivedKeyId = await _newKeyId();
+
+      let err;
+      try {
+        await brSSM.deriveKey({
+          keyId, controller, operation: {
+            salt, info,
+            derivedKey: {id: derivedKeyId, type: 'Sha256HmacKey2019'}
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      err = null;
+      try {
+        await brSSM.getKeyDescription({keyId: derivedKeyId, controller});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('fails when "maxCapabilityChainLength" is exceeded', async () => {
+      const keyId = await _newKeyId();
+      const invocationTarget = {
+        id: keyId,
+        type: 'Sha256HmacKey2019',
+        maxCapabilityChainLength: 1
+      };
+      await brSSM.generateKey({
+        keyId, controller, operation: {invocationTarget}
+      });
+
+      // mock `zcapInvocation` with `dereferencedChain` that is
+      // too long (entries not checked, just length)
+      const zcapInvocation = {
+        dereferencedChain: [{}, {}]
+      };
+
+      let err;
+      try {
+        await brSSM.deriveKey({
+          keyId, controller, operation: {
+            salt, info,
+            derivedKey: {id: await _newKeyId(), type: 'Sha256HmacKey2019'}
+          },
+          zcapInvocation
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+  });
+});
+
+async function _newKeyId() {
+  return `https://example.com/kms/${await generateId()}`;
+}
+
+async function _generateKey({type}) {
+  const keyId = await _newKeyId();
+  const invocationTarget = {id: keyId, type};
+  await brSSM.generateKey({keyId, controller, operation: {invocationTarget}});
+  return keyId;
+}
@@ -0,0 +1,692 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brSSM from '@bedrock/ssm-mongodb';
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {generateId} from 'bnid';
+import os from 'node:os';
+import path from 'node:path';
+import {writeFile} from 'node:fs/promises';
+
+// imports are for testing purposes only; not public exports
+import {
+  _createKeyRecordCipher, _runKnownAnswerTests
+} from '@bedrock/ssm-mongodb';
+
+// same KEK used in other tests so that existing key records can be decrypted
+const KEK_1 = {
+  id: 'urn:test:aes256',
+  secretKeyMultibase: 'uogH3ERq9FRYOV8IuUiD2gKZs_qN6SLU-6RtbBUfzqQwGdg'
+};
+const KEK_2 = {
+  id: 'urn:test:aes256:2',
+  secretKeyMultibase: 'uogHy02QDNPX4GHBSLK2DJ-hzSbsUAa2rc7eKNwWh2wzz4Q'
+};
+
+describe('key record encryption', () => {
+  const moduleConfig = bedrock.config['ssm-mongodb'];
+  const oldConfigValue = moduleConfig.keyRecordEncryption;
+  after(async () => {
+    moduleConfig.keyRecordEncryption = oldConfigValue;
+    await _createKeyRecordCipher();
+  });
+
+  describe('KEK rotation', () => {
+    it('decrypts records encrypted under a previous KEK', async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_1.id,
+        keks: [KEK_1]
+      };
+      await _createKeyRecordCipher();
+
+      const keyId = `https://example.com/kms/${await generateId()}`;
+      const controller = 'https://example.com/i/foo';
+      const type = 'Sha256HmacKey2019';
+      const invocationTarget = {id: keyId, type};
+      await brSSM.generateKey(
+        {keyId, controller, operation: {invocationTarget}});
+      const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+      const {signatureValue} = await brSSM.sign(
+        {keyId, operation: {verifyData}});
+
+      // rotate to `KEK_2`, keeping `KEK_1` for decryption
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [KEK_1, KEK_2]
+      };
+      await _createKeyRecordCipher();
+
+      let err;
+      let result;
+      try {
+        result = await brSSM.verify(
+          {keyId, operation: {signatureValue, verifyData}});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      result.verified.should.equal(true);
+    });
+
+    it('encrypts new records under the current KEK', async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [KEK_1, KEK_2]
+      };
+      await _createKeyRecordCipher();
+
+      const keyId = `https://example.com/kms/${await generateId()}`;
+      const controller = 'https://example.com/i/foo';
+      const type = 'urn:webkms:multikey:Ed25519';
+      const invocationTarget = {id: keyId, type};
+      await brSSM.generateKey(
+        {keyId, controller, operation: {invocationTarget}});
+
+      const record = await database.collections.ssm.findOne({
+        keystoreId: helpers.localId({id: keyId}),
+        'key.id': keyId
+      });
+      should.exist(record);
+      should.exist(record.key.encrypted);
+      record.key.encrypted.kekId.should.equal(KEK_2.id);
+      should.not.exist(record.key.secretKeyMultibase);
+    });
+
+    it('uses legacy "kek" as the current KEK', async () => {
+      moduleConfig.keyRecordEncryption = {kek: KEK_1};
+      const recordCipher = await _createKeyRecordCipher();
+      recordCipher.isSecretsEncryptionEnabled().should.equal(true);
+    });
+
+    it('throws if "currentKekId" is not in "keks"', async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [KEK_1]
+      };
+      let err;
+      try {
+        await _createKeyRecordCipher();
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+
+    it('throws on duplicate KEK IDs', async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_1.id,
+        keks: [KEK_1, {...KEK_2, id: KEK_1.id}]
+      };
+      let err;
+      try {
+        await _createKeyRecordCipher();
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+
+  describe('KEK providers', () => {
+    it('loads a KEK from a file', async () => {
+      const file = path.join(os.tmpdir(), `ssm-kek-${await generateId()}`);
+      await writeFile(file, `${KEK_2.secretKeyMultibase}\n`);
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [KEK_1, {id: KEK_2.id, provider: {type: 'file', path: file}}]
+      };
+      await _assertEncryptsKeyRecords();
+    });
+
+    it('loads a KEK from an environment variable', async () => {
+      const name = 'SSM_MONGODB_TEST_KEK';
+      process.env[name] = KEK_2.secretKeyMultibase;
+      try {
+        moduleConfig.keyRecordEncryption = {
+          currentKekId: KEK_2.id,
+          keks: [KEK_1, {id: KEK_2.id, provider: {type: 'env', name}}]
+        };
+        await _assertEncryptsKeyRecords();
+      } finally {
+        delete process.env[name];
+      }
+    });
+
+    it('loads a KEK from a function', async () => {
+      const load = async ({id}) => {
+        id.should.equal(KEK_2.id);
+        return KEK_2.secretKeyMultibase;
+      };
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [KEK_1, {id: KEK_2.id, provider: {type: 'function', load}}]
+      };
+      await _assertEncryptsKeyRecords();
+    });
+
+    it('does not reveal why a function failed to load a KEK', async () => {
+      const load = async () => {
+        throw new Error('vault token "s.secret" expired');
+      };
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [{id: KEK_2.id, provider: {type: 'function', load}}]
+      };
+      const err = await _getCipherError();
+      err.name.should.equal('DataError');
+      err.message.should.contain(KEK_2.id);
+      err.message.should.not.contain('s.secret');
+      should.not.exist(err.cause);
+    });
+
+    it('throws if an environment variable is not set', async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [{
+          id: KEK_2.id, provider: {type: 'env', name: 'SSM_MONGODB_UNSET'}
+        }]
+      };
+      const err = await _getCipherError();
+      err.name.should.equal('DataError');
+      err.message.should.contain(KEK_2.id);
+      err.message.should.contain('"SSM_MONGODB_UNSET" is not set');
+    });
+
+    it('throws if a file cannot be read', async () => {
+      const file = path.join(os.tmpdir(), `ssm-kek-${await generateId()}`);
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [{id: KEK_2.id, provider: {type: 'file', path: file}}]
+      };
+      const err = await _getCipherError();
+      err.name.should.equal('DataError');
+      err.message.should.contain(file);
+      err.message.should.contain('ENOENT');
+    });
+
+    it('throws on an unsupported provider type', async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [{id: KEK_2.id, provider: {type: 'vault'}}]
+      };
+      const err = await _getCipherError();
+      err.name.should.equal('DataError');
+      err.message.should.contain('"vault"');
+    });
+
+    it('throws if both a secret and a provider are given', async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [{...KEK_2, provider: {type: 'env', name: 'SSM_MONGODB_KEK'}}]
+      };
+      const err = await _getCipherError();
+      err.name.should.equal('DataError');
+    });
+
+    it('does not reveal an invalid secret', async () => {
+      // valid base64url but not an AES-256 multikey
+      const secretKeyMultibase = 'u' + Buffer.from(
+        'not-a-secret-key-multikey').toString('base64url');
+      const load = async () => secretKeyMultibase;
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [{id: KEK_2.id, provider: {type: 'function', load}}]
+      };
+      const err = await _getCipherError();
+      err.name.should.equal('DataError');
+      err.message.should.contain(KEK_2.id);
+      JSON.stringify(err).should.not.contain(secretKeyMultibase.slice(1));
+    });
+  });
+
+  describe('keystore data keys', () => {
+    const config = {
+      currentKekId: KEK_1.id,
+      keks: [KEK_1],
+      keystoreDataKeys: true
+    };
+    beforeEach(async () => {
+      moduleConfig.keyRecordEncryption = config;
+      await _createKeyRecordCipher();
+    });
+    after(async () => {
+      // remove key records encrypted under data keys so that other tests can
+      // re-encrypt all key records
+      await database.collections.ssm.deleteMany(
+        {'key.encrypted.kekId': {$exists: true, $nin: [KEK_1.id, KEK_2.id]}});
+    });
+
+    it('encrypts key records under a keystore data key', async () => {
+      const keystoreId = await _createKeystoreId();
+      const {keyId, sign} = await _generateHmacKey({keystoreId});
+
+      const record = await _getRecord({keyId});
+      const dataKeyId = record.key.encrypted.kekId;
+      dataKeyId.should.be.a('string');
+      dataKeyId.should.not.equal(KEK_1.id);
+
+      const dataKeyRecord = await _getDataKeyRecord({keystoreId});
+      dataKeyRecord.currentId.should.equal(dataKeyId);
+      dataKeyRecord.dataKeys.should.have.length(1);
+      dataKeyRecord.dataKeys[0].id.should.equal(dataKeyId);
+      dataKeyRecord.dataKeys[0].encrypted.kekId.should.equal(KEK_1.id);
+      should.not.exist(dataKeyRecord.dataKeys[0].secretKeyMultibase);
+
+      // uses same data key for other keys in the keystore
+      const {keyId: keyId2} = await _generateHmacKey({keystoreId});
+      const record2 = await _getRecord({keyId: keyId2});
+      record2.key.encrypted.kekId.should.equal(dataKeyId);
+
+      // uses a different data key for another keystore
+      const {keyId: keyId3} = await _generateHmacKey(
+        {keystoreId: await _createKeystoreId()});
+      const record3 = await _getRecord({keyId: keyId3});
+      record3.key.encrypted.kekId.should.not.equal(dataKeyId);
+
+      const result = await brSSM.verify({keyId, operation: sign});
+      result.verified.should.equal(true);
+    });
+
+    it('rotates a keystore data key', async () => {
+      const keystoreId = await _createKeystoreId();
+      const {keyId, sign} = await _generateHmacKey({keystoreId});
+      await _generateHmacKey({keystoreId});
+      const {key: {encrypted: {kekId: oldDataKeyId}}} = await _getRecord(
+        {keyId});
+
+      const result = await brSSM.rotateKeystoreDataKey({keystoreId});
+      result.dataKeyId.should.not.equal(oldDataKeyId);
+      result.processed.should.equal(2);
+      result.reencrypted.should.equal(2);
+      result.removed.should.equal(1);
+
+      const record = await _getRecord({keyId});
+      record.key.encrypted.kekId.should.equal(result.dataKeyId);
+      const dataKeyRecord = await _getDataKeyRecord({keystoreId});
+      dataKeyRecord.dataKeys.map(({id}) => id).should.eql([result.dataKeyId]);
+
+      const {verified} = await brSSM.verify({keyId, operation: sign});
+      verified.should.equal(true);
+    });
+
+    it('crypto-shreds a keystore by destroying its data key', async () => {
+      const keystoreId = await _createKeystoreId();
+      const {keyId, sign} = await _generateHmacKey({keystoreId});
+      const otherKey = await _generateHmacKey(
+        {keystoreId: await _createKeystoreId()});
+
+      const result = await brSSM.destroyKeystoreDataKey({keystoreId});
+      result.should.eql({destroyed: true});
+
+      let err;
+      try {
+        await brSSM.verify({keyId, operation: sign});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+
+      // other keystores are unaffected
+      const {verified} = await brSSM.verify(
+        {keyId: otherKey.keyId, operation: otherKey.sign});
+      verified.should.equal(true);
+    });
+
+    it('rewraps data keys after KEK rotation', async () => {
+      const keystoreId = await _createKeystoreId();
+      const {keyId, sign} = await _generateHmacKey({keystoreId});
+
+      moduleConfig.keyRecordEncryption = {
+        ...config,
+        currentKekId: KEK_2.id,
+        keks: [KEK_1, KEK_2]
+      };
+      await _createKeyRecordCipher();
+      await brSSM.reencryptKeyRecords({keystoreId});
+
+      const dataKeyRecord = await _getDataKeyRecord({keystoreId});
+      dataKeyRecord.dataKeys[0].encrypted.kekId.should.equal(KEK_2.id);
+
+      // `KEK_1` is no longer needed
+      moduleConfig.keyRecordEncryption = {
+        ...config,
+        currentKekId: KEK_2.id,
+        keks: [KEK_2]
+      };
+      await _createKeyRecordCipher();
+      brSSM.clearCache();
+      const {verified} = await brSSM.verify({keyId, operation: sign});
+      verified.should.equal(true);
+    });
+
+    it('rewraps data keys wrapped under mixed KEKs', async () => {
+      const keystoreId = await _createKeystoreId();
+      const {keyId, sign} = await _generateHmacKey({keystoreId});
+
+      moduleConfig.keyRecordEncryption = {
+        ...config,
+        currentKekId: KEK_2.id,
+        keks: [KEK_1, KEK_2]
+      };
+      await _createKeyRecordCipher();
+
+      // move a data key wrapped under `KEK_2` from another keystore into the
+      // data keys of `keystoreId` so that they are wrapped under mixed KEKs
+      const otherKeystoreId = await _createKeystoreId();
+      await _generateHmacKey({keystoreId: otherKeystoreId});
+      const collection = database.collections['ssm-data-key'];
+      const {dataKeys: [otherDataKey]} = await collection.findOneAndDelete(
+        {keystoreId: otherKeystoreId});
+      otherDataKey.encrypted.kekId.should.equal(KEK_2.id);
+      await collection.updateOne(
+        {keystoreId}, {$push: {dataKeys: otherDataKey}});
+      let dataKeyRecord = await _getDataKeyRecord({keystoreId});
+      dataKeyRecord.dataKeys.map(({encrypted: {kekId}}) => kekId)
+        .should.eql([KEK_1.id, KEK_2.id]);
+
+      await brSSM.reencryptKeyRecords({keystoreId});
+
+      dataKeyRecord = await _getDataKeyRecord({keystoreId});
+      dataKeyRecord.dataKeys.map(({encrypted: {kekId}}) => kekId)
+        .should.eql([KEK_2.id, KEK_2.id]);
+
+      // `KEK_1` is no longer needed
+      moduleConfig.keyRecordEncryption = {
+        ...config,
+        currentKekId: KEK_2.id,
+        keks: [KEK_2]
+      };
+      await _createKeyRecordCipher();
+      brSSM.clearCache();
+      const {verified} = await brSSM.verify({keyId, operation: sign});
+      verified.should.equal(true);
+    });
+
+    it('throws if there is no current KEK', async () => {
+      moduleConfig.keyRecordEncryption = {keystoreDataKeys: true};
+      const err = await _getCipherError();
+      err.name.should.equal('DataError');
+    });
+  });
+
+  describe('reencryptKeyRecords API', () => {
+    it('encrypts plaintext key records under the current KEK', async () => {
+      moduleConfig.keyRecordEncryption = {kek: null};
+      await _createKeyRecordCipher();
+
+      const {keyId, sign} = await _generateHmacKey();
+
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_1.id,
+        keks: [KEK_1]
+      };
+      await _createKeyRecordCipher();
+
+      const progress = [];
+      const result = await brSSM.reencryptKeyRecords({
+        batchSize: 10,
+        onProgress: p => progress.push(p)
+      });
+      result.done.should.equal(true);
+      result.processed.should.be.gte(1);
+      result.reencrypted.should.be.gte(1);
+      progress.length.should.be.gte(1);
+      progress.at(-1).processed.should.equal(result.processed);
+
+      const record = await _getRecord({keyId});
+      should.exist(record.key.encrypted);
+      record.key.encrypted.kekId.should.equal(KEK_1.id);
+      should.not.exist(record.key.secret);
+
+      const {verified} = await brSSM.verify({keyId, operation: sign});
+      verified.should.equal(true);
+    });
+
+    it('re-encrypts key records after KEK rotation', async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_1.id,
+        keks: [KEK_1]
+      };
+      await _createKeyRecordCipher();
+
+      const {keyId, sign} = await _generateHmacKey();
+
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [KEK_1, KEK_2]
+      };
+      await _createKeyRecordCipher();
+      await brSSM.reencryptKeyRecords();
+
+      // remove `KEK_1`; key must now be readable under `KEK_2` alone
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [KEK_2]
+      };
+      await _createKeyRecordCipher();
+
+      const record = await _getRecord({keyId});
+      record.key.encrypted.kekId.should.equal(KEK_2.id);
+
+      const {verified} = await brSSM.verify({keyId, operation: sign});
+      verified.should.equal(true);
+    });
+
+    it('does not encrypt the validity period or policy', async () => {
+      moduleConfig.keyRecordEncryption = {kek: null};
+      await _createKeyRecordCipher();
+
+      const keyId = `https://example.com/kms/${await generateId()}`;
+      const invocationTarget = {
+        id: keyId,
+        type: 'Sha256HmacKey2019',
+        notBefore: '2020-01-01T00:00:00Z',
+        notAfter: '2999-01-01T00:00:00Z',
+        policy: {operations: ['sign', 'verify']}
+      };
+      await brSSM.generateKey({
+        keyId, controller: 'https://example.com/i/foo',
+        operation: {invocationTarget}
+      });
+
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_1.id,
+        keks: [KEK_1]
+      };
+      await _createKeyRecordCipher();
+      await brSSM.reencryptKeyRecords();
+
+      const record = await _getRecord({keyId});
+      record.key.encrypted.kekId.should.equal(KEK_1.id);
+      should.not.exist(record.key.secret);
+      record.key.notBefore.should.equal(invocationTarget.notBefore);
+      record.key.notAfter.should.equal(invocationTarget.notAfter);
+      record.key.policy.should.eql(invocationTarget.policy);
+    });
+
+    it('resumes processing after the given key ID', async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [KEK_1, KEK_2]
+      };
+      await _createKeyRecordCipher();
+      await _generateHmacKey();
+      await _generateHmacKey();
+
+      const controller = new AbortController();
+      const first = await brSSM.reencryptKeyRecords({
+        batchSize: 1,
+        onProgress: () => controller.abort(),
+        signal: controller.signal
+      });
+      first.processed.should.equal(1);
+      first.done.should.equal(false);
+      should.exist(first.after);
+
+      const rest = await brSSM.reencryptKeyRecords({after: first.after});
+      rest.done.should.equal(true);
+      rest.reencrypted.should.equal(0);
+    });
+
+    it('throws if key record encryption is not enabled', async () => {
+      moduleConfig.keyRecordEncryption = {kek: null};
+      await _createKeyRecordCipher();
+
+      let err;
+      try {
+        await brSSM.reencryptKeyRecords();
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+    });
+  });
+
+  describe('self-test', () => {
+    beforeEach(async () => {
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_2.id,
+        keks: [KEK_1, KEK_2]
+      };
+      await _createKeyRecordCipher();
+    });
+
+    it('checks key types and samples key records', async () => {
+      await _generateHmacKey();
+
+      let err;
+      let result;
+      try {
+        result = await brSSM.runSelfTest({sampleSize: 1000});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      result.keyTypes.should.have.members([
+        'Sha256HmacKey2019',
+        'Sha384HmacKey2019',
+        'Sha512HmacKey2019',
+        'AesKeyWrappingKey2019',
+        'Aes256GcmKey2026',
+        'urn:webkms:multikey:Ed25519',
+        'urn:webkms:multikey:P-256',
+        'urn:webkms:multikey:P-384',
+        'urn:webkms:multikey:P-521',
+        'urn:webkms:multikey:secp256k1',
+        'urn:webkms:multikey:BBS-BLS12-381-SHA-256',
+        'urn:webkms:multikey:BBS-BLS12-381-SHAKE-256',
+        'urn:webkms:multikey:Bls12381G2',
+        'urn:webkms:multikey:ML-DSA-44',
+        'urn:webkms:multikey:ML-DSA-65',
+        'urn:webkms:multikey:ML-DSA-87',
+        'urn:webkms:multikey:ML-KEM-768',
+        'urn:webkms:multikey:ML-KEM-1024',
+        'urn:webkms:multikey:X25519',
+        'urn:webkms:multikey:ECDH-P-256',
+        'urn:webkms:multikey:ECDH-P-384',
+        'urn:webkms:multikey:ECDH-P-521'
+      ]);
+      result.keyRecords.should.be.gte(1);
+    });
+
+    it('throws if a key record cannot be decrypted', async () => {
+      const {keyId} = await _generateHmacKey();
+
+      // remove `KEK_2` that the key record is encrypted under
+      moduleConfig.keyRecordEncryption = {
+        currentKekId: KEK_1.id,
+        keks: [KEK_1]
+      };
+      await _createKeyRecordCipher();
+
+      let err;
+      try {
+        await brSSM.runSelfTest({sampleSize: 1000});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('OperationError');
+      err.details.kekId.should.equal(KEK_2.id);
+      err.message.should.include('could not be decrypted');
+
+      await database.collections.ssm.deleteOne({'key.id': keyId});
+    });
+
+    it('throws if a known-answer test fails', async () => {
+      const core = {
+        async sign() {
+          return {signatureValue: 'invalid'};
+        }
+      };
+
+      let err;
+      try {
+        await _runKnownAnswerTests({core});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('OperationError');
+      err.details.keyType.should.equal('Sha256HmacKey2019');
+      err.details.operation.should.equal('sign');
+      err.message.should.include('did not produce the expected result');
+    });
+  });
+});
+
+async function _assertEncryptsKeyRecords() {
+  const recordCipher = await _createKeyRecordCipher();
+  recordCipher.currentKekId.should.equal(KEK_2.id);
+  const {keyId, sign: {verifyData, signatureValue}} = await _generateHmacKey();
+  const record = await _getRecord({keyId});
+  record.key.encrypted.kekId.should.equal(KEK_2.id);
+  const result = await brSSM.verify(
+    {keyId, operation: {verifyData, signatureValue}});
+  result.verified.should.equal(true);
+}
+
+async function _createKeystoreId() {
+  return `https://example.com/keystores/${await generateId()}`;
+}
+
+async function _generateHmacKey({
+  keystoreId = 'https://example.com/kms'
+} = {}) {
+  const keyId = `${keystoreId}/${await generateId()}`;
+  const controller = 'https://example.com/i/foo';
+  const type = 'Sha256HmacKey2019';
+  const invocationTarget = {id: keyId, type};
+  await brSSM.generateKey({keyId, controller, operation: {invocationTarget}});
+  const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+  const {signatureValue} = await brSSM.sign({keyId, operation: {verifyData}});
+  return {keyId, sign: {verifyData, signatureValue}};
+}
+
+async function _getCipherError() {
+  let err;
+  try {
+    await _createKeyRecordCipher();
+  } catch(e) {
+    err = e;
+  }
+  should.exist(err);
+  return err;
+}
+
+async function _getDataKeyRecord({keystoreId}) {
+  return database.collections['ssm-data-key'].findOne({keystoreId});
+}
+
+async function _getRecord({keyId}) {
+  return database.collections.ssm.findOne({
+    keystoreId: helpers.localId({id: keyId}),
+    'key.id': keyId
+  });
+}
@@ -0,0 +1,467 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brSSM from '@bedrock/ssm-mongodb';
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {generateId} from 'bnid';
+
+const controller = 'https://example.com/i/foo';
+const otherController = 'https://example.com/i/bar';
+const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+
+describe('key lifecycle', () => {
+  let kmsModuleApi;
+  before(async () => {
+    kmsModuleApi = await brSSM.getKmsModuleApi();
+  });
+
+  describe('revokeKey API', () => {
+    it('revokes a key', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      const {signatureValue} = await kmsModuleApi.sign(
+        {keyId, operation: {verifyData}});
+
+      const result = await kmsModuleApi.revokeKey({keyId, controller});
+      result.should.eql({revoked: true});
+
+      // revocation is idempotent
+      const result2 = await kmsModuleApi.revokeKey({keyId, controller});
+      result2.should.eql({revoked: true});
+
+      let err;
+      try {
+        await kmsModuleApi.sign({keyId, operation: {verifyData}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      err = null;
+      try {
+        await kmsModuleApi.verify(
+          {keyId, operation: {verifyData, signatureValue}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+
+    it('refuses to wrap and unwrap with a revoked key', async () => {
+      const keyId = await _generateKey({type: 'AesKeyWrappingKey2019'});
+      const unwrappedKey = '8vEgpnq8F6QVRmaSYPHTKKZyCXMOgRLiBdZPcfYnIfI';
+      const {wrappedKey} = await kmsModuleApi.wrapKey(
+        {keyId, operation: {unwrappedKey}});
+      await brSSM.revokeKey({keyId, controller});
+
+      let err;
+      try {
+        await kmsModuleApi.wrapKey({keyId, operation: {unwrappedKey}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      err = null;
+      try {
+        await kmsModuleApi.unwrapKey({keyId, operation: {wrappedKey}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+
+    it('returns the key description of a revoked key', async () => {
+      const type = 'urn:webkms:multikey:Ed25519';
+      const keyId = await _generateKey({type});
+      await brSSM.revokeKey({keyId, controller});
+
+      const result = await kmsModuleApi.getKeyDescription({keyId, controller});
+      result.id.should.equal(keyId);
+      result.type.should.equal('Multikey');
+    });
+
+    it('throws a NotFoundError for an unknown key', async () => {
+      const keyId = `https://example.com/kms/${await generateId()}`;
+      let err;
+      try {
+        await brSSM.revokeKey({keyId, controller});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('throws a NotAllowedError for another controller', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      let err;
+      try {
+        await brSSM.revokeKey({keyId, controller: otherController});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      // key is not revoked
+      const result = await kmsModuleApi.sign({keyId, operation: {verifyData}});
+      should.exist(result.signatureValue);
+    });
+
+    it('throws a NotAllowedError w/o a recorded controller', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      await _unsetController({keyId});
+      let err;
+      try {
+        await brSSM.revokeKey({keyId, controller});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+  });
+
+  describe('deleteKey API', () => {
+    it('deletes a key', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      await kmsModuleApi.sign({keyId, operation: {verifyData}});
+
+      const result = await kmsModuleApi.deleteKey({keyId, controller});
+      result.should.eql({deleted: true});
+
+      let err;
+      try {
+        await kmsModuleApi.sign({keyId, operation: {verifyData}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('throws a NotFoundError for an unknown key', async () => {
+      const keyId = `https://example.com/kms/${await generateId()}`;
+      let err;
+      try {
+        await brSSM.deleteKey({keyId, controller});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('throws a NotAllowedError for another controller', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      let err;
+      try {
+        await brSSM.deleteKey({keyId, controller: otherController});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      // key is not deleted
+      const result = await kmsModuleApi.sign({keyId, operation: {verifyData}});
+      should.exist(result.signatureValue);
+    });
+
+    it('throws a NotAllowedError w/o a recorded controller', async () => {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      await _unsetController({keyId});
+      let err;
+      try {
+        await brSSM.deleteKey({keyId, controller});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+  });
+
+  describe('key validity period', () => {
+    const past = '2020-01-01T00:00:00Z';
+    const future = '2999-01-01T00:00:00Z';
+
+    it('signs with a key within its validity period', async () => {
+      const keyId = await _generateKey(
+        {type: 'Sha256HmacKey2019', notBefore: past, notAfter: future});
+      const result = await kmsModuleApi.sign({keyId, operation: {verifyData}});
+      should.exist(result.signatureValue);
+    });
+
+    it('refuses to sign with a key that is not yet valid', async () => {
+      const keyId = await _generateKey(
+        {type: 'Sha256HmacKey2019', notBefore: future});
+      let err;
+      try {
+        await kmsModuleApi.sign({keyId, operation: {verifyData}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal('Key is not yet valid.');
+    });
+
+    it('refuses to wrap and unwrap with an expired key', async () => {
+      const keyId = await _generateKey({
+        type: 'AesKeyWrappingKey2019',
+        notBefore: '2019-01-01T00:00:00Z', notAfter: past
+      });
+      const unwrappedKey = '8vEgpnq8F6QVRmaSYPHTKKZyCXMOgRLiBdZPcfYnIfI';
+      let err;
+      try {
+        await kmsModuleApi.wrapKey({keyId, operation: {unwrappedKey}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal('Key has expired.');
+
+      err = null;
+      try {
+        await kmsModuleApi.unwrapKey(
+          {keyId, operation: {wrappedKey: 'invalid'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+
+    it('reports the validity period in the key description', async () => {
+      const keyId = await _generateKey({
+        type: 'urn:webkms:multikey:Ed25519', notAfter: past
+      });
+      const result = await kmsModuleApi.getKeyDescription({keyId, controller});
+      result.id.should.equal(keyId);
+      result.notAfter.should.equal(past);
+      should.not.exist(result.notBefore);
+    });
+
+    it('rejects an invalid validity period', async () => {
+      let err;
+      try {
+        await _generateKey(
+          {type: 'Sha256HmacKey2019', notBefore: future, notAfter: past});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+
+      err = null;
+      try {
+        await _generateKey({type: 'Sha256HmacKey2019', notAfter: 'tomorrow'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+
+  describe('key usage policy', () => {
+    const data = text => Buffer.from(text, 'utf8').toString('base64url');
+
+    it('allows only the operations in the policy', async () => {
+      const policy = {operations: ['sign']};
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019', policy});
+      const {signatureValue} = await kmsModuleApi.sign(
+        {keyId, operation: {verifyData}});
+      should.exist(signatureValue);
+
+      let err;
+      try {
+        await kmsModuleApi.verify(
+          {keyId, operation: {verifyData, signatureValue}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal(
+        'Key usage policy does not allow the "verify" operation.');
+    });
+
+    it('allows only wrapping w/a wrap-only policy', async () => {
+      const policy = {operations: ['wrapKey']};
+      const keyId = await _generateKey(
+        {type: 'AesKeyWrappingKey2019', policy});
+      const unwrappedKey = '8vEgpnq8F6QVRmaSYPHTKKZyCXMOgRLiBdZPcfYnIfI';
+      const {wrappedKey} = await kmsModuleApi.wrapKey(
+        {keyId, operation: {unwrappedKey}});
+
+      let err;
+      try {
+        await kmsModuleApi.unwrapKey({keyId, operation: {wrappedKey}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+
+    it('refuses "verifyData" over the maximum size', async () => {
+      const policy = {
+        operations: ['sign', 'verify'], verifyData: {maxSize: 8}
+      };
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019', policy});
+      const {signatureValue} = await kmsModuleApi.sign(
+        {keyId, operation: {verifyData: data('12345678')}});
+      const {verified} = await kmsModuleApi.verify({
+        keyId, operation: {verifyData: data('12345678'), signatureValue}
+      });
+      verified.should.equal(true);
+
+      let err;
+      try {
+        await kmsModuleApi.sign(
+          {keyId, operation: {verifyData: data('123456789')}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal(
+        'Key usage policy does not allow the given "verifyData".');
+    });
+
+    it('refuses "verifyData" w/o an allowed prefix', async () => {
+      const policy = {
+        operations: ['sign'],
+        verifyData: {prefixes: [data('urn:a:'), data('urn:b:')]}
+      };
+      const keyId = await _generateKey(
+        {type: 'urn:webkms:multikey:Ed25519', policy});
+      for(const text of ['urn:a:1', 'urn:b:2']) {
+        const result = await kmsModuleApi.sign(
+          {keyId, operation: {verifyData: data(text)}});
+        should.exist(result.signatureValue);
+      }
+
+      for(const text of ['urn:c:3', 'urn:']) {
+        let err;
+        try {
+          await kmsModuleApi.sign({keyId, operation: {verifyData: data(text)}});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotAllowedError');
+      }
+    });
+
+    it('enforces the policy for each operation in a batch', async () => {
+      const policy = {operations: ['sign'], verifyData: {maxSize: 8}};
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019', policy});
+      const {results} = await kmsModuleApi.signBatch({
+        keyId, operations: [
+          {verifyData: data('12345678')},
+          {verifyData: data('123456789')}
+        ]
+      });
+      should.exist(results[0].signatureValue);
+      results[1].error.name.should.equal('NotAllowedError');
+
+      const verifyOnlyKeyId = await _generateKey(
+        {type: 'Sha256HmacKey2019', policy: {operations: ['verify']}});
+      let err;
+      try {
+        await kmsModuleApi.signBatch({
+          keyId: verifyOnlyKeyId, operations: [{verifyData}]
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+
+    it('refuses to derive a key w/o "deriveKey" in the policy', async () => {
+      const keyId = await _generateKey(
+        {type: 'Sha256HmacKey2019', policy: {operations: ['sign']}});
+      let err;
+      try {
+        await kmsModuleApi.deriveKey({
+          keyId, controller, operation: {
+            derivedKey: {
+              id: `https://example.com/kms/${await generateId()}`,
+              type: 'Sha256HmacKey2019'
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+    });
+
+    it('reports the policy in the key description', async () => {
+      const policy = {
+        operations: ['sign'], verifyData: {maxSize: 1024, prefixes: ['YQ']}
+      };
+      const keyId = `https://example.com/kms/${await generateId()}`;
+      const invocationTarget = {
+        id: keyId, type: 'urn:webkms:multikey:P-256', policy
+      };
+      const {keyDescription} = await kmsModuleApi.generateKey(
+        {keyId, controller, operation: {invocationTarget}});
+      keyDescription.policy.should.eql(policy);
+
+      const result = await kmsModuleApi.getKeyDescription({keyId, controller});
+      result.policy.should.eql(policy);
+    });
+
+    it('rejects an invalid policy', async () => {
+      for(const policy of [
+        {},
+        {operations: []},
+        {operations: ['sign', 'unknown']},
+        {operations: ['sign'], verifyData: {}},
+        {operations: ['sign'], verifyData: {maxSize: -1}},
+        {operations: ['sign'], verifyData: {prefixes: []}},
+        // decodes to no bytes, which would allow any data
+        {operations: ['sign'], verifyData: {prefixes: ['A']}},
+        // not canonically encoded
+        {operations: ['sign'], verifyData: {prefixes: ['YQ==']}},
+        {operations: ['sign'], verifyData: {prefixes: ['YR']}}
+      ]) {
+        let err;
+        try {
+          await _generateKey({type: 'Sha256HmacKey2019', policy});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      }
+    });
+  });
+});
+
+async function _generateKey({type, notBefore, notAfter, policy}) {
+  const keyId = `https://example.com/kms/${await generateId()}`;
+  const invocationTarget = {id: keyId, type, notBefore, notAfter, policy};
+  await brSSM.generateKey({keyId, controller, operation: {invocationTarget}});
+  return keyId;
+}
+
+// simulates a key created prior to recording its controller
+async function _unsetController({keyId}) {
+  await database.collections.ssm.updateOne(
+    {keystoreId: helpers.localId({id: keyId}), 'key.id': keyId},
+    {$unset: {'meta.controller': ''}});
+  brSSM.clearCache();
+}
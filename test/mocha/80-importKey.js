@@ -0,0 +1,233 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brSSM from '@bedrock/ssm-mongodb';
+import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
+import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import crypto from 'node:crypto';
+import {generateId} from 'bnid';
+import {
+  X25519KeyAgreementKey2020
+} from '@digitalbazaar/x25519-key-agreement-key-2020';
+
+const controller = 'https://example.com/i/foo';
+const verifyData = Buffer.from('2eb221b8-1777-417a-8f3a-05cdd030de12');
+
+describe('importKey API', () => {
+  it('imports an Ed25519 key from a JWK', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'urn:webkms:multikey:Ed25519';
+    const privateKeyJwk = crypto.generateKeyPairSync('ed25519')
+      .privateKey.export({format: 'jwk'});
+    const invocationTarget = {id: keyId, type};
+    const result = await brSSM.importKey({
+      keyId, controller, operation: {invocationTarget, privateKeyJwk}
+    });
+
+    should.exist(result);
+    result.keyId.should.equal(keyId);
+    const {keyDescription} = result;
+    keyDescription.should.have.keys([
+      '@context', 'id', 'type', 'controller', 'publicKeyMultibase']);
+    keyDescription['@context'].should.equal(
+      'https://w3id.org/security/multikey/v1');
+    keyDescription.id.should.equal(keyId);
+    keyDescription.type.should.equal('Multikey');
+    keyDescription.controller.should.equal(controller);
+    const expected = await Ed25519Multikey.fromJwk({jwk: privateKeyJwk});
+    keyDescription.publicKeyMultibase.should.equal(
+      expected.publicKeyMultibase);
+
+    const description = await brSSM.getKeyDescription({keyId, controller});
+    description.should.eql(keyDescription);
+
+    const {signatureValue} = await brSSM.sign({
+      keyId, operation: {verifyData: verifyData.toString('base64url')}
+    });
+    const verified = await expected.verifier().verify({
+      data: verifyData, signature: Buffer.from(signatureValue, 'base64url')
+    });
+    verified.should.equal(true);
+  });
+
+  it('imports a P-256 key from a "secretKeyMultibase"', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'urn:webkms:multikey:P-256';
+    const keyPair = await EcdsaMultikey.generate({curve: 'P-256'});
+    const {secretKeyMultibase, publicKeyMultibase} = await keyPair.export(
+      {publicKey: true, secretKey: true});
+    const invocationTarget = {id: keyId, type};
+    const {keyDescription} = await brSSM.importKey({
+      keyId, controller, operation: {invocationTarget, secretKeyMultibase}
+    });
+    keyDescription.type.should.equal('Multikey');
+    keyDescription.publicKeyMultibase.should.equal(publicKeyMultibase);
+
+    const {signatureValue} = await brSSM.sign({
+      keyId, operation: {verifyData: verifyData.toString('base64url')}
+    });
+    const verified = await keyPair.verifier().verify({
+      data: verifyData, signature: Buffer.from(signatureValue, 'base64url')
+    });
+    verified.should.equal(true);
+  });
+
+  it('imports an X25519 key from a JWK', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'urn:webkms:multikey:X25519';
+    const privateKeyJwk = crypto.generateKeyPairSync('x25519')
+      .privateKey.export({format: 'jwk'});
+    const invocationTarget = {id: keyId, type};
+    const {keyDescription} = await brSSM.importKey({
+      keyId, controller, operation: {invocationTarget, privateKeyJwk}
+    });
+    keyDescription.type.should.equal('Multikey');
+
+    // derive the same secret from both sides
+    const peer = await X25519KeyAgreementKey2020.generate();
+    const publicKey = {
+      type: 'Multikey',
+      publicKeyMultibase: peer.publicKeyMultibase
+    };
+    const {secret} = await brSSM.deriveSecret({keyId, operation: {publicKey}});
+    const expected = await peer.deriveSecret({publicKey: keyDescription});
+    secret.should.equal(Buffer.from(expected).toString('base64url'));
+  });
+
+  it('imports with a public alias template', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'urn:webkms:multikey:Ed25519';
+    const privateKeyJwk = crypto.generateKeyPairSync('ed25519')
+      .privateKey.export({format: 'jwk'});
+    const invocationTarget = {
+      id: keyId, type,
+      publicAliasTemplate: '{+controller}#{publicKeyMultibase}'
+    };
+    const {keyDescription} = await brSSM.importKey({
+      keyId, controller, operation: {invocationTarget, privateKeyJwk}
+    });
+    keyDescription.id.should.equal(
+      `${controller}#${keyDescription.publicKeyMultibase}`);
+  });
+
+  it('throws a DuplicateError for same key ID twice', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'urn:webkms:multikey:Ed25519';
+    const privateKeyJwk = crypto.generateKeyPairSync('ed25519')
+      .privateKey.export({format: 'jwk'});
+    const invocationTarget = {id: keyId, type};
+    const operation = {invocationTarget, privateKeyJwk};
+    await brSSM.importKey({keyId, controller, operation});
+
+    let err;
+    try {
+      await brSSM.importKey({keyId, controller, operation});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+  });
+
+  it('records the controller that imported the key', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'urn:webkms:multikey:Ed25519';
+    const privateKeyJwk = crypto.generateKeyPairSync('ed25519')
+      .privateKey.export({format: 'jwk'});
+    const invocationTarget = {id: keyId, type};
+    await brSSM.importKey({
+      keyId, controller, operation: {invocationTarget, privateKeyJwk}
+    });
+
+    let err;
+    try {
+      await brSSM.revokeKey({keyId, controller: 'https://example.com/i/bar'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+  });
+
+  it('throws a DataError when the invocation target ID does not match',
+    async () => {
+      const keyId = `https://example.com/kms/${await generateId()}`;
+      const type = 'urn:webkms:multikey:Ed25519';
+      const privateKeyJwk = crypto.generateKeyPairSync('ed25519')
+        .privateKey.export({format: 'jwk'});
+      const invocationTarget = {
+        id: `https://example.com/kms/${await generateId()}`, type
+      };
+
+      let err;
+      try {
+        await brSSM.importKey({
+          keyId, controller, operation: {invocationTarget, privateKeyJwk}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+      err.message.should.include('invocationTarget.id');
+    });
+
+  it('throws a DataError when key material does not match type', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'urn:webkms:multikey:P-256';
+    const privateKeyJwk = crypto.generateKeyPairSync('ed25519')
+      .privateKey.export({format: 'jwk'});
+    const invocationTarget = {id: keyId, type};
+
+    let err;
+    try {
+      await brSSM.importKey({
+        keyId, controller, operation: {invocationTarget, privateKeyJwk}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+
+  it('throws a DataError when public key does not match', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'urn:webkms:multikey:Ed25519';
+    const privateKeyJwk = crypto.generateKeyPairSync('ed25519')
+      .privateKey.export({format: 'jwk'});
+    const other = crypto.generateKeyPairSync('ed25519')
+      .privateKey.export({format: 'jwk'});
+    privateKeyJwk.x = other.x;
+    const invocationTarget = {id: keyId, type};
+
+    let err;
+    try {
+      await brSSM.importKey({
+        keyId, controller, operation: {invocationTarget, privateKeyJwk}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+
+  it('throws a NotSupportedError for an unsupported type', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'Sha256HmacKey2019';
+    const invocationTarget = {id: keyId, type};
+
+    let err;
+    try {
+      await brSSM.importKey({
+        keyId, controller,
+        operation: {invocationTarget, secretKeyMultibase: 'uAAAA'}
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotSupportedError');
+  });
+});
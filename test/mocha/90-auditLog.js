@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brSSM from '@bedrock/ssm-mongodb';
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {generateId} from 'bnid';
+
+const controller = 'https://example.com/i/foo';
+const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+
+describe('audit log', () => {
+  const moduleConfig = bedrock.config['ssm-mongodb'];
+  const oldConfigValue = moduleConfig.auditLog;
+  before(() => {
+    moduleConfig.auditLog = {...oldConfigValue, enabled: true};
+  });
+  after(() => {
+    moduleConfig.auditLog = oldConfigValue;
+  });
+
+  it('records successful and failed KMS operations', async () => {
+    const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+    const start = Date.now();
+    const zcapInvocation = {
+      capability: {id: 'urn:zcap:root:foo'},
+      capabilityAction: 'sign',
+      invoker: 'did:key:z6MkfooBar',
+      dereferencedChain: [{}]
+    };
+    const {signatureValue} = await brSSM.sign(
+      {keyId, operation: {verifyData}, zcapInvocation});
+    await brSSM.verify({keyId, operation: {verifyData, signatureValue}});
+    try {
+      await brSSM.wrapKey({keyId, operation: {unwrappedKey: verifyData}});
+    } catch(e) {}
+
+    const {entries} = await brSSM.getAuditLog({keyId});
+    entries.should.have.length(3);
+
+    const [signEntry, verifyEntry, wrapEntry] = entries;
+    signEntry.keyId.should.equal(keyId);
+    signEntry.keystoreId.should.equal(helpers.localId({id: keyId}));
+    signEntry.operation.should.equal('sign');
+    signEntry.status.should.equal('success');
+    signEntry.date.should.be.a('date');
+    signEntry.date.getTime().should.be.gte(start);
+    signEntry.zcapInvocation.should.eql({
+      capability: 'urn:zcap:root:foo',
+      capabilityAction: 'sign',
+      invoker: 'did:key:z6MkfooBar'
+    });
+
+    verifyEntry.operation.should.equal('verify');
+    verifyEntry.status.should.equal('success');
+    should.not.exist(verifyEntry.zcapInvocation);
+
+    wrapEntry.operation.should.equal('wrapKey');
+    wrapEntry.status.should.equal('failure');
+    wrapEntry.error.name.should.be.a('string');
+  });
+
+  it('records operations refused for revoked keys', async () => {
+    const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+    await brSSM.revokeKey({keyId, controller});
+    try {
+      await brSSM.sign({keyId, operation: {verifyData}});
+    } catch(e) {}
+
+    const {entries} = await brSSM.getAuditLog({keyId});
+    entries.should.have.length(1);
+    entries[0].status.should.equal('failure');
+    entries[0].error.name.should.equal('NotAllowedError');
+  });
+
+  it('queries by keystore and time range', async () => {
+    const keyId1 = await _generateKey({type: 'Sha256HmacKey2019'});
+    const keyId2 = await _generateKey({type: 'Sha256HmacKey2019'});
+    const keystoreId = helpers.localId({id: keyId1});
+    const start = new Date();
+    await brSSM.sign({keyId: keyId1, operation: {verifyData}});
+    await brSSM.sign({keyId: keyId2, operation: {verifyData}});
+    const end = new Date(Date.now() + 1);
+
+    const {entries} = await brSSM.getAuditLog({keystoreId, start, end});
+    entries.map(({keyId}) => keyId).should.include.members([keyId1, keyId2]);
+    for(const entry of entries) {
+      entry.keystoreId.should.equal(keystoreId);
+      entry.date.getTime().should.be.gte(start.getTime());
+      entry.date.getTime().should.be.lt(end.getTime());
+    }
+
+    const result = await brSSM.getAuditLog(
+      {keyId: keyId1, start: 0, end: start});
+    result.entries.should.have.length(0);
+  });
+
+  it('does not record operations when disabled', async () => {
+    const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+    moduleConfig.auditLog = {...oldConfigValue, enabled: false};
+    try {
+      await brSSM.sign({keyId, operation: {verifyData}});
+    } finally {
+      moduleConfig.auditLog = {...oldConfigValue, enabled: true};
+    }
+    const {entries} = await brSSM.getAuditLog({keyId});
+    entries.should.have.length(0);
+  });
+
+  it('expires entries after the retention period', async () => {
+    const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+    moduleConfig.auditLog = {
+      ...oldConfigValue, enabled: true, retentionMs: 1000
+    };
+    try {
+      await brSSM.sign({keyId, operation: {verifyData}});
+    } finally {
+      moduleConfig.auditLog = {...oldConfigValue, enabled: true};
+    }
+    const {entries: [entry]} = await brSSM.getAuditLog({keyId});
+    entry.expires.getTime().should.equal(entry.date.getTime() + 1000);
+
+    const indexes = await database.collections['ssm-audit'].indexes();
+    const ttlIndex = indexes.find(({key}) => key.expires === 1);
+    should.exist(ttlIndex);
+    ttlIndex.expireAfterSeconds.should.equal(0);
+  });
+
+  it('keeps entries forever w/a "null" retention period', async () => {
+    const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+    moduleConfig.auditLog = {
+      ...oldConfigValue, enabled: true, retentionMs: null
+    };
+    try {
+      await brSSM.sign({keyId, operation: {verifyData}});
+    } finally {
+      moduleConfig.auditLog = {...oldConfigValue, enabled: true};
+    }
+    const {entries: [entry]} = await brSSM.getAuditLog({keyId});
+    should.not.exist(entry.expires);
+  });
+
+  it('throws a DataError w/o "keyId" or "keystoreId"', async () => {
+    let err;
+    try {
+      await brSSM.getAuditLog({start: 0});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+});
+
+async function _generateKey({type}) {
+  const keyId = `https://example.com/kms/${await generateId()}`;
+  const invocationTarget = {id: keyId, type};
+  await brSSM.generateKey({keyId, controller, operation: {invocationTarget}});
+  return keyId;
+}
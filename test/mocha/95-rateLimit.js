@@ -0,0 +1,93 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brSSM from '@bedrock/ssm-mongodb';
+import {generateId} from 'bnid';
+
+const controller = 'https://example.com/i/foo';
+const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+// use a long window so that tests do not cross a window boundary
+const windowMs = 60 * 60 * 1000;
+
+describe('rate limits', () => {
+  const moduleConfig = bedrock.config['ssm-mongodb'];
+  const oldConfigValue = moduleConfig.rateLimit;
+  afterEach(() => {
+    moduleConfig.rateLimit = oldConfigValue;
+  });
+
+  it('limits operations per key', async () => {
+    moduleConfig.rateLimit = {windowMs, maxOperationsPerKey: 2};
+    const keystoreId = await _createKeystoreId();
+    const keyId1 = await _generateKey({keystoreId});
+    const keyId2 = await _generateKey({keystoreId});
+
+    await brSSM.sign({keyId: keyId1, operation: {verifyData}});
+    await brSSM.sign({keyId: keyId1, operation: {verifyData}});
+
+    let err;
+    try {
+      await brSSM.sign({keyId: keyId1, operation: {verifyData}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(429);
+    err.details.retryAfter.should.be.a('number');
+    err.details.retryAfter.should.be.gt(0);
+    err.details.retryAfter.should.be.lte(windowMs / 1000);
+    err.message.should.include('retry after');
+
+    // other keys are unaffected
+    await brSSM.sign({keyId: keyId2, operation: {verifyData}});
+  });
+
+  it('limits operations per keystore', async () => {
+    moduleConfig.rateLimit = {windowMs, maxOperationsPerKeystore: 3};
+    const keystoreId = await _createKeystoreId();
+    const keyId1 = await _generateKey({keystoreId});
+    const keyId2 = await _generateKey({keystoreId});
+
+    await brSSM.sign({keyId: keyId1, operation: {verifyData}});
+    await brSSM.sign({keyId: keyId2, operation: {verifyData}});
+    const {signatureValue} = await brSSM.sign(
+      {keyId: keyId1, operation: {verifyData}});
+
+    let err;
+    try {
+      await brSSM.verify(
+        {keyId: keyId2, operation: {verifyData, signatureValue}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.details.keystore.should.equal(keystoreId);
+
+    // other keystores are unaffected
+    const keyId3 = await _generateKey({keystoreId: await _createKeystoreId()});
+    await brSSM.sign({keyId: keyId3, operation: {verifyData}});
+  });
+
+  it('does not limit operations by default', async () => {
+    const keystoreId = await _createKeystoreId();
+    const keyId = await _generateKey({keystoreId});
+    for(let i = 0; i < 10; ++i) {
+      await brSSM.sign({keyId, operation: {verifyData}});
+    }
+  });
+});
+
+async function _createKeystoreId() {
+  return `https://example.com/keystores/${await generateId()}`;
+}
+
+async function _generateKey({keystoreId}) {
+  const keyId = `${keystoreId}/${await generateId()}`;
+  const type = 'Sha256HmacKey2019';
+  const invocationTarget = {id: keyId, type};
+  await brSSM.generateKey({keyId, controller, operation: {invocationTarget}});
+  return keyId;
+}
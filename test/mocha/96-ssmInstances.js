@@ -0,0 +1,77 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brPackageManager from '@bedrock/package-manager';
+import * as brSSM from '@bedrock/ssm-mongodb';
+import * as database from '@bedrock/mongodb';
+import * as helpers from './helpers.js';
+import {generateId} from 'bnid';
+
+const controller = 'https://example.com/i/foo';
+const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+
+describe('SSM instances', () => {
+  let coldApi;
+  before(async () => {
+    const {packageName} = brPackageManager.get(
+      {alias: 'ssm-test-cold', type: 'webkms-module'});
+    const instance = await import(packageName);
+    coldApi = await instance.getKmsModuleApi();
+  });
+
+  it('registers the default instance as "ssm-v1"', async () => {
+    const {packageName} = brPackageManager.get(
+      {alias: 'ssm-v1', type: 'webkms-module'});
+    packageName.should.equal('@bedrock/ssm-mongodb');
+  });
+
+  it('registers an additional instance under its own alias', async () => {
+    const {packageName} = brPackageManager.get(
+      {alias: 'ssm-test-cold', type: 'webkms-module'});
+    packageName.should.equal(
+      '@bedrock/ssm-mongodb/lib/instance.js?alias=ssm-test-cold');
+    should.exist(coldApi);
+    coldApi.should.not.equal(await brSSM.getKmsModuleApi());
+  });
+
+  it('stores keys in its own collection w/its own KEK', async () => {
+    const keyId = `https://example.com/kms/${await generateId()}`;
+    const type = 'Sha256HmacKey2019';
+    const invocationTarget = {id: keyId, type};
+    await coldApi.generateKey(
+      {keyId, controller, operation: {invocationTarget}});
+    const {signatureValue} = await coldApi.sign(
+      {keyId, operation: {verifyData}});
+    const {verified} = await coldApi.verify(
+      {keyId, operation: {verifyData, signatureValue}});
+    verified.should.equal(true);
+
+    const query = {keystoreId: helpers.localId({id: keyId}), 'key.id': keyId};
+    const record = await database.collections['ssm-cold'].findOne(query);
+    should.exist(record);
+    record.key.encrypted.kekId.should.equal('urn:test:aes256:cold');
+    const defaultRecord = await database.collections.ssm.findOne(query);
+    should.not.exist(defaultRecord);
+
+    // key is not available via the default instance
+    let err;
+    try {
+      await brSSM.sign({keyId, operation: {verifyData}});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('throws a DuplicateError for a duplicate alias', async () => {
+    let err;
+    try {
+      await brSSM.createSsm({alias: 'ssm-v1', collectionName: 'ssm-other'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DuplicateError');
+  });
+});
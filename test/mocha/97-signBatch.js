@@ -0,0 +1,115 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brSSM from '@bedrock/ssm-mongodb';
+import {generateId} from 'bnid';
+
+const controller = 'https://example.com/i/foo';
+
+describe('signBatch API', () => {
+  it('signs a batch of data in order', async () => {
+    const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+    const operations = [];
+    for(let i = 0; i < 5; ++i) {
+      operations.push({verifyData: (await generateId()).slice(1)});
+    }
+
+    const {results} = await brSSM.signBatch({keyId, operations});
+    results.should.be.an('array');
+    results.should.have.length(operations.length);
+    for(const [i, result] of results.entries()) {
+      result.should.have.keys(['signatureValue']);
+      const expected = await brSSM.sign({keyId, operation: operations[i]});
+      result.signatureValue.should.equal(expected.signatureValue);
+    }
+  });
+
+  it('signs a batch of data w/an asymmetric key', async () => {
+    const keyId = await _generateKey({type: 'urn:webkms:multikey:Ed25519'});
+    const operations = [
+      {verifyData: 'YWJj'},
+      {verifyData: 'ZGVm'}
+    ];
+    const {results} = await brSSM.signBatch({keyId, operations});
+    results.should.have.length(2);
+    for(const [i, {signatureValue}] of results.entries()) {
+      const {verified} = await brSSM.verify(
+        {keyId, operation: {...operations[i], signatureValue}});
+      verified.should.equal(true);
+    }
+  });
+
+  it('fails per operation', async () => {
+    const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+    const operations = [
+      {verifyData: 'YWJj'},
+      {},
+      {verifyData: 'ZGVm'}
+    ];
+    const {results} = await brSSM.signBatch({keyId, operations});
+    results.should.have.length(3);
+    should.exist(results[0].signatureValue);
+    should.not.exist(results[1].signatureValue);
+    should.exist(results[1].error);
+    results[1].error.should.have.keys(['name', 'message']);
+    should.exist(results[2].signatureValue);
+  });
+
+  it('counts each operation against rate limits', async () => {
+    const moduleConfig = bedrock.config['ssm-mongodb'];
+    const oldConfigValue = moduleConfig.rateLimit;
+    moduleConfig.rateLimit = {windowMs: 60 * 60 * 1000, maxOperationsPerKey: 2};
+    try {
+      const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+      const operations = [
+        {verifyData: 'YWJj'},
+        {verifyData: 'ZGVm'},
+        {verifyData: 'Z2hp'}
+      ];
+      let err;
+      try {
+        await brSSM.signBatch({keyId, operations});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.details.httpStatusCode.should.equal(429);
+    } finally {
+      moduleConfig.rateLimit = oldConfigValue;
+    }
+  });
+
+  it('refuses to sign a batch w/a revoked key', async () => {
+    const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+    await brSSM.revokeKey({keyId, controller});
+    let err;
+    try {
+      await brSSM.signBatch({keyId, operations: [{verifyData: 'YWJj'}]});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+  });
+
+  it('rejects an empty batch', async () => {
+    const keyId = await _generateKey({type: 'Sha256HmacKey2019'});
+    let err;
+    try {
+      await brSSM.signBatch({keyId, operations: []});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+});
+
+async function _generateKey({type}) {
+  const keyId = `https://example.com/kms/${await generateId()}`;
+  const invocationTarget = {id: keyId, type};
+  await brSSM.generateKey({keyId, controller, operation: {invocationTarget}});
+  return keyId;
+}
@@ -0,0 +1,116 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brSSM from '@bedrock/ssm-mongodb';
+import * as database from '@bedrock/mongodb';
+import {generateId} from 'bnid';
+import {setTimeout} from 'node:timers/promises';
+
+// import is for testing purposes only; not a public export
+import {_createCacheInvalidator} from '@bedrock/ssm-mongodb';
+
+const controller = 'https://example.com/i/foo';
+const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+
+describe('key record cache invalidation', () => {
+  // must be less than `keyRecordCache.ttl` to show that the change stream,
+  // not cache expiration, evicted the cached key record
+  let timeout;
+  // key record cache invalidation is only enabled for this suite as it
+  // requires MongoDB change streams, i.e., a replica set; CI runs the tests
+  // against a single node replica set, so the suite must not be skipped there
+  const moduleConfig = bedrock.config['ssm-mongodb'];
+  const oldConfigValue = moduleConfig.keyRecordCacheInvalidation;
+  let invalidator;
+  before(async function() {
+    timeout = moduleConfig.keyRecordCache.ttl / 2;
+    moduleConfig.keyRecordCacheInvalidation = {
+      ...oldConfigValue, enabled: true
+    };
+    const {retryInterval} = moduleConfig.keyRecordCacheInvalidation;
+    invalidator = _createCacheInvalidator({retryInterval});
+    try {
+      await invalidator.start();
+    } catch(e) {
+      invalidator = null;
+      if(e.name !== 'NotSupportedError' || process.env.CI) {
+        throw e;
+      }
+      this.skip();
+    }
+  });
+  after(async () => {
+    moduleConfig.keyRecordCacheInvalidation = oldConfigValue;
+    await invalidator?.stop();
+  });
+
+  it('evicts a key record revoked by another node', async () => {
+    const keyId = await _generateKey();
+    // cache key record
+    await brSSM.sign({keyId, operation: {verifyData}});
+
+    // revoke key directly in the database as another node would, bypassing
+    // this node's key record cache
+    await database.collections.ssm.updateOne(
+      {'key.id': keyId}, {$set: {'meta.revoked': Date.now()}});
+
+    const err = await _waitForError(
+      () => brSSM.sign({keyId, operation: {verifyData}}), {timeout});
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+  });
+
+  it('evicts a key record deleted by another node', async () => {
+    const keyId = await _generateKey();
+    // cache key record
+    await brSSM.sign({keyId, operation: {verifyData}});
+
+    // delete key directly in the database as another node would
+    await database.collections.ssm.deleteOne({'key.id': keyId});
+
+    const err = await _waitForError(
+      () => brSSM.sign({keyId, operation: {verifyData}}), {timeout});
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+
+  it('only evicts the deleted key record', async () => {
+    const keyId1 = await _generateKey();
+    const keyId2 = await _generateKey();
+    // cache key records
+    await brSSM.sign({keyId: keyId1, operation: {verifyData}});
+    await brSSM.sign({keyId: keyId2, operation: {verifyData}});
+
+    await database.collections.ssm.deleteOne({'key.id': keyId1});
+    const err = await _waitForError(
+      () => brSSM.sign({keyId: keyId1, operation: {verifyData}}), {timeout});
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+
+    // the other key record is still cached
+    const {misses} = brSSM.getCacheStats();
+    await brSSM.sign({keyId: keyId2, operation: {verifyData}});
+    brSSM.getCacheStats().misses.should.equal(misses);
+  });
+});
+
+async function _generateKey() {
+  const keyId = `https://example.com/kms/${await generateId()}`;
+  const invocationTarget = {id: keyId, type: 'Sha256HmacKey2019'};
+  await brSSM.generateKey({keyId, controller, operation: {invocationTarget}});
+  return keyId;
+}
+
+// calls `fn` until it throws or `timeout` (in milliseconds) has passed
+async function _waitForError(fn, {timeout}) {
+  const end = Date.now() + timeout;
+  while(Date.now() < end) {
+    try {
+      await fn();
+    } catch(e) {
+      return e;
+    }
+    await setTimeout(50);
+  }
+}
@@ -0,0 +1,130 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brSSM from '@bedrock/ssm-mongodb';
+import {generateId} from 'bnid';
+
+// import is for testing purposes only; not a public export
+import {_KeyRecordCache} from '@bedrock/ssm-mongodb';
+
+const controller = 'https://example.com/i/foo';
+const verifyData = '2eb221b8-1777-417a-8f3a-05cdd030de12';
+
+describe('key record cache', () => {
+  describe('getCacheStats API', () => {
+    it('gets key record cache statistics', async () => {
+      const stats = brSSM.getCacheStats();
+      stats.should.have.keys([
+        'hits', 'misses', 'evictions', 'expirations', 'size', 'max'
+      ]);
+      for(const value of Object.values(stats)) {
+        value.should.be.a('number');
+      }
+      stats.size.should.be.lte(stats.max);
+    });
+
+    it('counts cache hits and misses', async () => {
+      const keyId = await _generateKey();
+
+      const before = brSSM.getCacheStats();
+      await brSSM.sign({keyId, operation: {verifyData}});
+      const after = brSSM.getCacheStats();
+      // key record is retrieved from the cache once it has been loaded
+      (after.misses - before.misses).should.equal(1);
+      (after.hits - before.hits).should.be.gte(1);
+
+      const {hits, misses} = brSSM.getCacheStats();
+      await brSSM.sign({keyId, operation: {verifyData}});
+      const stats = brSSM.getCacheStats();
+      stats.misses.should.equal(misses);
+      stats.hits.should.be.gt(hits);
+    });
+  });
+
+  describe('clearCache API', () => {
+    it('evicts a single key record', async () => {
+      const keyId = await _generateKey();
+      await brSSM.sign({keyId, operation: {verifyData}});
+
+      brSSM.clearCache({keyId}).should.eql({cleared: 1});
+      brSSM.clearCache({keyId}).should.eql({cleared: 0});
+
+      const {misses} = brSSM.getCacheStats();
+      await brSSM.sign({keyId, operation: {verifyData}});
+      brSSM.getCacheStats().misses.should.equal(misses + 1);
+    });
+
+    it('clears the whole cache', async () => {
+      const keyId = await _generateKey();
+      await brSSM.sign({keyId, operation: {verifyData}});
+
+      const {size} = brSSM.getCacheStats();
+      size.should.be.gte(1);
+      brSSM.clearCache().should.eql({cleared: size});
+      brSSM.getCacheStats().size.should.equal(0);
+    });
+  });
+
+  describe('KeyRecordCache', () => {
+    // fake clock for cache TTLs; `ttlResolution: 0` makes every TTL check
+    // read the clock
+    let now;
+    let cache;
+    beforeEach(() => {
+      now = 1000;
+      cache = new _KeyRecordCache(
+        {max: 2, ttl: 1000, ttlResolution: 0, perf: {now: () => now}});
+    });
+
+    it('counts hits and misses', async () => {
+      const fn = async () => ({});
+      await cache.memoize({key: 'a', fn});
+      await cache.memoize({key: 'a', fn});
+      await cache.memoize({key: 'b', fn});
+      cache.getStats().should.eql({
+        hits: 1, misses: 2, evictions: 0, expirations: 0, size: 2, max: 2
+      });
+    });
+
+    it('counts expirations', async () => {
+      const fn = async () => ({});
+      await cache.memoize({key: 'a', fn});
+      now += 1000;
+      await cache.memoize({key: 'a', fn});
+      cache.getStats().should.include({hits: 1, misses: 1, expirations: 0});
+      now += 1001;
+      await cache.memoize({key: 'a', fn});
+      cache.getStats().should.include({hits: 1, misses: 2, expirations: 1});
+    });
+
+    it('counts evictions', async () => {
+      const fn = async () => ({});
+      await cache.memoize({key: 'a', fn});
+      await cache.memoize({key: 'b', fn});
+      await cache.memoize({key: 'c', fn});
+      cache.getStats().should.include({evictions: 1, size: 2});
+    });
+
+    it('does not cache failures', async () => {
+      let err;
+      try {
+        await cache.memoize({
+          key: 'a', fn: async () => {
+            throw new Error('failed');
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      cache.getStats().size.should.equal(0);
+    });
+  });
+});
+
+async function _generateKey() {
+  const keyId = `https://example.com/kms/${await generateId()}`;
+  const invocationTarget = {id: keyId, type: 'Sha256HmacKey2019'};
+  await brSSM.generateKey({keyId, controller, operation: {invocationTarget}});
+  return keyId;
+}
@@ -1,8 +1,25 @@
 /*!
- * Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import '@bedrock/ssm-mongodb';
+import {createSsm} from '@bedrock/ssm-mongodb';
 import '@bedrock/test';
 
+bedrock.events.on('bedrock.init', async () => {
+  // additional SSM instance for testing
+  await createSsm({
+    alias: 'ssm-test-cold',
+    collectionName: 'ssm-cold',
+    config: {
+      keyRecordEncryption: {
+        currentKekId: 'urn:test:aes256:cold',
+        keks: [{
+          id: 'urn:test:aes256:cold',
+          secretKeyMultibase: 'uogHy02QDNPX4GHBSLK2DJ-hzSbsUAa2rc7eKNwWh2wzz4Q'
+        }]
+      }
+    }
+  });
+});
+
 bedrock.start();